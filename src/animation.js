@@ -0,0 +1,292 @@
+/**
+ * Animation - Keyframe resampling, reduction and quantization
+ *
+ * Linear samplers are resampled to a fixed frame rate, then keyframes that interpolating their
+ * neighbours reproduces within a tolerance are dropped (slerp for rotations, lerp otherwise).
+ * Tracks with detail between frames, where the result would miss a source key, are reduced from
+ * their source keys instead.
+ * Step samplers only lose keys that repeat the previous value. Rotations, and morph weights that
+ * fit, are stored as normalized shorts. Translations and scales stay float: glTF animation outputs
+ * for those paths must be float, and KHR_mesh_quantization only covers mesh attributes.
+ * Cubic spline samplers and channels without a target node (KHR_animation_pointer) are copied as is.
+ */
+
+import { createContentIndex } from './dedupe.js';
+import { GL, NORMALIZED_DIVISOR } from './glb-parser.js';
+import { getMeshoptFilter } from './quantizer.js';
+
+/**
+ * Resample, reduce and quantize every animation sampler that can be
+ * @param {Object} parsedGLB - Output from parseGLB
+ * @param {Object} [options]
+ * @param {number} [options.animationFrameRate] - Frames per second to resample linear samplers to (default 30)
+ * @param {number} [options.animationTolerance] - Largest error allowed when dropping a keyframe (default 0.001)
+ * @param {boolean} [options.quantizeAnimations] - Store rotations and weights as normalized shorts (unless false)
+ * @returns {{samplers: Map<string, Object>, originalBytes: number, optimizedBytes: number}} New input and output
+ *     data by "animation/sampler" index, in the shape the writer takes, plus the bytes before and after
+ */
+export function optimizeAnimations(parsedGLB, options = {}) {
+    const { json } = parsedGLB;
+    const frameRate = options.animationFrameRate || 30;
+    const tolerance = options.animationTolerance ?? 0.001;
+    const quantize = options.quantizeAnimations !== false;
+    const rotationFilter = getMeshoptFilter('QUATERNION', options);
+
+    const samplers = new Map();
+    const inputs = createContentIndex();
+    const countedAccessors = new Set();
+    const countedInputs = new Set();
+    let originalBytes = 0;
+    let optimizedBytes = 0;
+
+    (json.animations || []).forEach((animation, animIndex) => {
+        animation.samplers.forEach((sampler, samplerIndex) => {
+            const paths = new Set(
+                animation.channels
+                    .filter((channel) => channel.sampler === samplerIndex)
+                    .map((channel) => (channel.target.node === undefined ? null : channel.target.path)),
+            );
+            const interpolation = sampler.interpolation || 'LINEAR';
+            if (paths.size !== 1 || paths.has(null) || interpolation === 'CUBICSPLINE') return;
+            const [path] = paths;
+
+            const times = parsedGLB.getAccessorData(sampler.input);
+            const values = readOutput(parsedGLB, sampler.output);
+            if (times.length === 0) return;
+            const stride = values.length / times.length;
+
+            for (const accessorIndex of [sampler.input, sampler.output]) {
+                if (countedAccessors.has(accessorIndex)) continue;
+                countedAccessors.add(accessorIndex);
+                originalBytes += parsedGLB.getAccessorData(accessorIndex).byteLength;
+            }
+
+            if (path === 'rotation') alignHemispheres(values);
+
+            const track =
+                interpolation === 'LINEAR'
+                    ? reduceLinearTrack({ times, values }, stride, frameRate, tolerance, path)
+                    : reduceStep({ times, values }, stride, tolerance);
+
+            // Samplers with the same key times share one input accessor
+            const timeBytes = new Uint8Array(track.times.buffer, track.times.byteOffset, track.times.byteLength);
+            let input = inputs.find(timeBytes);
+            if (!input) {
+                input = { data: track.times, min: [track.times[0]], max: [track.times[track.times.length - 1]] };
+                inputs.add(timeBytes, input);
+            }
+
+            const output = encodeOutput(
+                track.values,
+                json.accessors[sampler.output].type,
+                path,
+                quantize,
+                rotationFilter,
+            );
+            samplers.set(`${animIndex}/${samplerIndex}`, { input, output });
+
+            if (!countedInputs.has(input)) {
+                countedInputs.add(input);
+                optimizedBytes += input.data.byteLength;
+            }
+            // Quaternion-filtered rotations are stored as 16-bit, like plain quantized ones
+            optimizedBytes += output.filter ? output.count * 8 : output.data.byteLength;
+        });
+    });
+
+    return { samplers, originalBytes, optimizedBytes };
+}
+
+/**
+ * Read sampler output values as floats, undoing normalized integer storage
+ */
+function readOutput(parsedGLB, accessorIndex) {
+    const data = parsedGLB.getAccessorData(accessorIndex);
+    const accessor = parsedGLB.json.accessors[accessorIndex];
+    if (!accessor.normalized || accessor.componentType === GL.FLOAT) return new Float32Array(data);
+
+    const divisor = NORMALIZED_DIVISOR[accessor.componentType];
+    return Float32Array.from(data, (value) => Math.max(value / divisor, -1));
+}
+
+/**
+ * Flip quaternions into the hemisphere of their predecessor, so neighbouring keys compare and blend
+ * component-wise (q and -q are the same rotation)
+ */
+function alignHemispheres(values) {
+    for (let i = 4; i < values.length; i += 4) {
+        const dot =
+            values[i] * values[i - 4] +
+            values[i + 1] * values[i - 3] +
+            values[i + 2] * values[i - 2] +
+            values[i + 3] * values[i - 1];
+        if (dot < 0) {
+            for (let k = 0; k < 4; k++) values[i + k] = -values[i + k];
+        }
+    }
+}
+
+/**
+ * Resample and reduce a linear track, or reduce its source keys when the resampled result
+ * misses one of them by more than the tolerance
+ */
+function reduceLinearTrack(source, stride, frameRate, tolerance, path) {
+    const track = reduceLinear(resample(source, stride, frameRate, path), stride, tolerance, path);
+
+    const sample = createSampler(track, stride, path);
+    const estimate = new Float32Array(stride);
+    for (let key = 0; key < source.times.length; key++) {
+        sample(source.times[key], estimate, 0);
+        if (!withinTolerance(estimate, 0, source.values, key, stride, tolerance)) {
+            return reduceLinear(source, stride, tolerance, path);
+        }
+    }
+    return track;
+}
+
+/**
+ * Sample a linear track at a fixed rate between its first and last key
+ */
+function resample(source, stride, frameRate, path) {
+    const { times } = source;
+    const start = times[0];
+    const end = times[times.length - 1];
+    const frameCount = Math.max(Math.ceil((end - start) * frameRate - 1e-6) + 1, 1);
+
+    const sampledTimes = new Float32Array(frameCount);
+    const sampledValues = new Float32Array(frameCount * stride);
+    const sample = createSampler(source, stride, path);
+
+    for (let frame = 0; frame < frameCount; frame++) {
+        const time = frame === frameCount - 1 ? end : start + frame / frameRate;
+        sampledTimes[frame] = time;
+        sample(time, sampledValues, frame);
+    }
+
+    return { times: sampledTimes, values: sampledValues };
+}
+
+/**
+ * Interpolate a linear track at increasing times: the returned function writes the value at
+ * a time into out[outIndex]
+ */
+function createSampler({ times, values }, stride, path) {
+    let key = 0;
+    return (time, out, outIndex) => {
+        while (key < times.length - 2 && times[key + 1] <= time) key++;
+
+        const next = Math.min(key + 1, times.length - 1);
+        const span = times[next] - times[key];
+        const t = span > 0 ? Math.min(Math.max((time - times[key]) / span, 0), 1) : 0;
+        interpolate(values, key, next, t, stride, path, out, outIndex);
+    };
+}
+
+/**
+ * Drop keys that interpolating between the previous kept key and the next key reproduces,
+ * checking every key skipped so far. The first and last keys are always kept.
+ */
+function reduceLinear({ times, values }, stride, tolerance, path) {
+    const kept = [0];
+    const estimate = new Float32Array(stride);
+
+    for (let next = 2; next < times.length; next++) {
+        const from = kept[kept.length - 1];
+        let fits = true;
+        for (let skipped = from + 1; skipped < next && fits; skipped++) {
+            const t = (times[skipped] - times[from]) / (times[next] - times[from]);
+            interpolate(values, from, next, t, stride, path, estimate, 0);
+            fits = withinTolerance(estimate, 0, values, skipped, stride, tolerance);
+        }
+        if (!fits) kept.push(next - 1);
+    }
+    if (times.length > 1) kept.push(times.length - 1);
+
+    return pickKeys(times, values, stride, kept);
+}
+
+/**
+ * Drop step keys that hold the same value as the key before
+ */
+function reduceStep({ times, values }, stride, tolerance) {
+    const kept = [0];
+    for (let key = 1; key < times.length; key++) {
+        if (!withinTolerance(values, kept[kept.length - 1] * stride, values, key, stride, tolerance)) kept.push(key);
+    }
+    // The last key marks the end of the clip
+    if (kept[kept.length - 1] !== times.length - 1) kept.push(times.length - 1);
+
+    return pickKeys(times, values, stride, kept);
+}
+
+function pickKeys(times, values, stride, keys) {
+    const keptTimes = new Float32Array(keys.length);
+    const keptValues = new Float32Array(keys.length * stride);
+    keys.forEach((key, i) => {
+        keptTimes[i] = times[key];
+        keptValues.set(values.subarray(key * stride, key * stride + stride), i * stride);
+    });
+    return { times: keptTimes, values: keptValues };
+}
+
+function withinTolerance(a, aOffset, values, key, stride, tolerance) {
+    for (let k = 0; k < stride; k++) {
+        if (Math.abs(a[aOffset + k] - values[key * stride + k]) > tolerance) return false;
+    }
+    return true;
+}
+
+/**
+ * Blend key a towards key b by t into out[outIndex]: slerp for rotations, lerp otherwise
+ */
+function interpolate(values, a, b, t, stride, path, out, outIndex) {
+    const ia = a * stride;
+    const ib = b * stride;
+    const io = outIndex * stride;
+
+    if (path !== 'rotation') {
+        for (let k = 0; k < stride; k++) out[io + k] = values[ia + k] + (values[ib + k] - values[ia + k]) * t;
+        return;
+    }
+
+    let dot = 0;
+    for (let k = 0; k < 4; k++) dot += values[ia + k] * values[ib + k];
+    const sign = dot < 0 ? -1 : 1;
+    dot *= sign;
+
+    let wa = 1 - t;
+    let wb = t * sign;
+    if (dot < 0.9995) {
+        const angle = Math.acos(dot);
+        const sin = Math.sin(angle);
+        wa = Math.sin((1 - t) * angle) / sin;
+        wb = (Math.sin(t * angle) / sin) * sign;
+    }
+
+    let length = 0;
+    for (let k = 0; k < 4; k++) {
+        out[io + k] = values[ia + k] * wa + values[ib + k] * wb;
+        length += out[io + k] * out[io + k];
+    }
+    length = Math.sqrt(length) || 1;
+    for (let k = 0; k < 4; k++) out[io + k] /= length;
+}
+
+/**
+ * Store rotations, and weights within [-1, 1], as normalized shorts; everything else as float.
+ * With a rotation filter, rotations stay float for the writer to encode with it.
+ */
+function encodeOutput(values, type, path, quantize, rotationFilter) {
+    const count = values.length / (type === 'VEC4' ? 4 : type === 'VEC3' ? 3 : 1);
+    const quantizable = path === 'rotation' || (path === 'weights' && values.every((v) => Math.abs(v) <= 1));
+
+    if (!quantize || !quantizable) {
+        return { data: values, componentType: GL.FLOAT, type, count };
+    }
+    if (path === 'rotation' && rotationFilter) {
+        return { data: values, componentType: GL.FLOAT, type, count, ...rotationFilter };
+    }
+
+    const data = Int16Array.from(values, (value) => Math.round(Math.max(-1, Math.min(1, value)) * 32767));
+    return { data, componentType: GL.SHORT, normalized: true, type, count };
+}
@@ -0,0 +1,489 @@
+#!/usr/bin/env node
+/**
+ * CLI - Runs the optimization pipeline headlessly from Node.js
+ *
+ * Usage: mesh-reduce <input.glb> [-o output.glb] [--error 0.02] [--lods 1,0.5,0.25] [options]
+ *
+ * Every LOD level after the first is written next to the output as <name>_lod<N>.glb,
+ * or with --bundle all levels go into the output file, linked through MSFT_lod.
+ * With --split the output is a .gltf with geometry and textures in separate .bin files,
+ * or with --external-images as well, one file per image.
+ * View-based importance needs WebGL and is skipped; texture importance still runs.
+ * The input and every written file are validated; --fail-on-errors sets a failing exit code
+ * when validation finds errors in either.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { getExternalURIs, isGLB, parseGLB, parseGLTF } from './glb-parser.js';
+import { createLODBundle, writeGLB, writeGLTF, writeMeshoptFallback } from './glb-writer.js';
+import { DEFAULT_OPTIONS, generateLODChain, initOptimizer } from './optimizer.js';
+import { DEFAULT_RESIZE_RULES, formatBytes, formatCounts, processTextures } from './texture-utils.js';
+import { validateGLTF } from './validator.js';
+
+// Validation issues printed per file; the count line still covers all of them
+const MAX_PRINTED_ISSUES = 20;
+
+/**
+ * Pipeline options exposed as flags. Boolean flags also accept a --no-<name> form;
+ * string flags only accept one of their choices, and number flags with a range only integers within it.
+ */
+const CLI_OPTIONS = [
+    { name: 'error', key: 'lodErrorThreshold', type: 'number', default: 0.02, description: 'Simplification error' },
+    { name: 'texture-aware', key: 'textureAware', type: 'boolean', default: true, description: 'Texture-aware LODs' },
+    {
+        name: 'importance-threshold',
+        key: 'importanceThreshold',
+        type: 'number',
+        default: 0.5,
+        description: 'Detail preservation (0.3 low, 0.5 medium, 0.7 high)',
+    },
+    { name: 'texture-scale', key: 'textureScale', type: 'number', default: 1, description: 'Texture resolution scale' },
+    {
+        name: 'texture-max-size',
+        key: 'textureMaxSize',
+        type: 'number',
+        default: DEFAULT_RESIZE_RULES.textureMaxSize,
+        description: 'Max color map size, 0 for no limit',
+    },
+    {
+        name: 'texture-max-detail-size',
+        key: 'textureMaxDetailSize',
+        type: 'number',
+        default: DEFAULT_RESIZE_RULES.textureMaxDetailSize,
+        description: 'Max normal/ORM map size, 0 for no limit',
+    },
+    {
+        name: 'texture-pot',
+        key: 'texturePowerOfTwo',
+        type: 'boolean',
+        default: DEFAULT_RESIZE_RULES.texturePowerOfTwo,
+        description: 'Snap texture sizes to powers of two',
+    },
+    {
+        name: 'texture-format',
+        key: 'textureFormat',
+        type: 'string',
+        choices: ['original', 'jpeg', 'webp', 'avif', 'ktx2'],
+        default: 'original',
+        description: 'Texture output format: original, jpeg, webp, avif or ktx2',
+    },
+    {
+        name: 'texture-quality',
+        key: 'textureQuality',
+        type: 'number',
+        default: 0.8,
+        description: 'JPEG/WebP/AVIF quality (0-1)',
+    },
+    {
+        name: 'texture-fallback',
+        key: 'textureFallback',
+        type: 'boolean',
+        default: true,
+        description: 'Keep PNG/JPEG fallbacks for WebP/AVIF',
+    },
+    {
+        name: 'compatibility',
+        key: 'compatibilityMode',
+        type: 'boolean',
+        description: 'glTF 2.0 core output: float attributes, no quantization, compression or instancing',
+    },
+    { name: 'meshopt', key: 'meshoptCompression', type: 'boolean', description: 'EXT_meshopt_compression' },
+    {
+        name: 'meshopt-fallback',
+        key: 'meshoptFallback',
+        type: 'boolean',
+        description: 'Write uncompressed data to <output>_fallback.bin, making meshopt optional',
+    },
+    {
+        name: 'octahedral-filter',
+        key: 'octahedralFilter',
+        type: 'boolean',
+        description: 'Meshopt octahedral filter for normals and tangents',
+    },
+    {
+        name: 'octahedral-bits',
+        key: 'octahedralFilterBits',
+        type: 'number',
+        range: [2, 16],
+        description: 'Octahedral filter bits (2-16)',
+    },
+    {
+        name: 'quaternion-filter',
+        key: 'quaternionFilter',
+        type: 'boolean',
+        description: 'Meshopt quaternion filter for rotations',
+    },
+    {
+        name: 'quaternion-bits',
+        key: 'quaternionFilterBits',
+        type: 'number',
+        range: [4, 16],
+        description: 'Quaternion filter bits (4-16)',
+    },
+    {
+        name: 'exponential-filter',
+        key: 'exponentialFilter',
+        type: 'boolean',
+        description: 'Meshopt exponential filter for float positions and UVs',
+    },
+    {
+        name: 'exponential-bits',
+        key: 'exponentialFilterBits',
+        type: 'number',
+        range: [1, 24],
+        description: 'Exponential filter mantissa bits (1-24)',
+    },
+    { name: 'dedupe', key: 'deduplicateVertices', type: 'boolean', description: 'Vertex deduplication' },
+    {
+        name: 'animations',
+        key: 'optimizeAnimations',
+        type: 'boolean',
+        description: 'Resample animations and drop redundant keyframes',
+    },
+    {
+        name: 'animation-fps',
+        key: 'animationFrameRate',
+        type: 'number',
+        description: 'Animation resampling rate in frames per second',
+    },
+    {
+        name: 'animation-tolerance',
+        key: 'animationTolerance',
+        type: 'number',
+        description: 'Largest error allowed when dropping a keyframe',
+    },
+    {
+        name: 'quantize-animations',
+        key: 'quantizeAnimations',
+        type: 'boolean',
+        description: 'Store animation and instance rotations, and morph weights, as 16-bit',
+    },
+    {
+        name: 'instance',
+        key: 'instanceMeshes',
+        type: 'boolean',
+        description: 'Draw repeated meshes with EXT_mesh_gpu_instancing',
+    },
+    {
+        name: 'join',
+        key: 'joinMeshes',
+        type: 'boolean',
+        description: 'Merge static meshes that share a material',
+    },
+    { name: 'prune', key: 'pruneUnused', type: 'boolean', description: 'Remove data no scene references' },
+    {
+        name: 'keep-materials',
+        key: 'keepUnusedMaterials',
+        type: 'boolean',
+        description: 'Keep unreferenced materials when pruning, and differently named ones when merging',
+    },
+    {
+        name: 'dedupe-resources',
+        key: 'deduplicateResources',
+        type: 'boolean',
+        description: 'Merge duplicate images, samplers, textures and materials',
+    },
+    { name: 'vertex-cache', key: 'optimizeVertexCache', type: 'boolean', description: 'Vertex cache optimization' },
+    { name: 'quantize-positions', key: 'quantizePositions', type: 'boolean', description: 'Position quantization' },
+    { name: 'quantize-normals', key: 'quantizeNormals', type: 'boolean', description: 'Normal quantization' },
+    { name: 'quantize-uvs', key: 'quantizeUVs', type: 'boolean', description: 'UV quantization' },
+    { name: 'quantize-tangents', key: 'quantizeTangents', type: 'boolean', description: 'Tangent quantization' },
+    { name: 'quantize-weights', key: 'quantizeWeights', type: 'boolean', description: 'Skin weight quantization' },
+    { name: 'position-bits', key: 'positionBits', type: 'number', description: 'Position bits (8 or 16)' },
+];
+
+const USAGE = `Usage: mesh-reduce <input.glb|input.gltf> [options]
+
+Options:
+  -o, --output <file>           Output file (default: <input>_optimized.glb, or .gltf with --split)
+  --lods <list>                 Comma-separated LOD ratios (default: 1)
+  --bundle                      Write all LODs into one file using MSFT_lod
+  --split                       Write .gltf with separate geometry and texture .bin files
+  --external-images             With --split, write each image as its own file
+  --fail-on-errors              Exit with code 1 when validation finds errors in the input or output
+${CLI_OPTIONS.map(formatOptionHelp).join('\n')}
+  -v, --verbose                 Print pipeline diagnostics and informational validation issues
+  -h, --help                    Show this help`;
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: buildArgConfig(),
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (positionals.length !== 1) {
+        throw new Error(`Expected exactly one input file\n\n${USAGE}`);
+    }
+
+    const options = resolveOptions(values);
+    const levels = parseLevels(values.lods ?? '1');
+    const inputPath = positionals[0];
+    const extension = values.split ? '.gltf' : '.glb';
+    const outputPath = values.output ?? `${inputPath.replace(/\.(glb|gltf)$/i, '')}_optimized${extension}`;
+
+    // Optimizer diagnostics only go to stdout when asked for
+    options.log = values.verbose ? console.log : () => {};
+
+    await initOptimizer();
+
+    const { parsedGLB, inputBytes } = await readInput(inputPath);
+
+    let validationErrors = 0;
+    const validate = (fileName, validation) => {
+        validationErrors += validation.errors;
+        printValidation(fileName, validation, values.verbose);
+    };
+    validate(path.basename(inputPath), validateGLTF(parsedGLB));
+
+    const lodChain = await generateLODChain(parsedGLB, levels, options);
+
+    options.onResize = ({ index, from, to }) => {
+        console.log(`Image ${index}: ${from.width}x${from.height} -> ${to.width}x${to.height}`);
+    };
+    const processedImages = await processTextures(parsedGLB, options);
+
+    // Every written file prunes and merges the same data; report it once
+    let pruneReported = false;
+    options.onPrune = (removed) => {
+        const summary = formatCounts(removed);
+        if (pruneReported || !summary) return;
+        pruneReported = true;
+        console.log(`Removed unused ${summary}`);
+    };
+
+    let dedupeReported = false;
+    options.onDeduplicate = ({ bytes, ...merged }) => {
+        const summary = formatCounts(merged);
+        if (dedupeReported || !summary) return;
+        dedupeReported = true;
+        console.log(`Merged duplicate ${summary} (${formatBytes(bytes)} saved)`);
+    };
+
+    let filterReported = false;
+    options.onFilter = (stats) => {
+        if (filterReported) return;
+        filterReported = true;
+        for (const [filter, { attributes, bytes, unfilteredBytes }] of Object.entries(stats)) {
+            console.log(
+                `${filter} filter: ${attributes} accessors, ` +
+                    `${formatBytes(unfilteredBytes)} -> ${formatBytes(bytes)} compressed`,
+            );
+        }
+    };
+
+    const write = (outputFile, optimizedData) =>
+        values.split
+            ? writeSplitOutput(outputFile, optimizedData, options, processedImages, values['external-images'])
+            : writeGLBOutput(outputFile, optimizedData, options, processedImages);
+
+    const { drawCallCount, originalDrawCallCount } = lodChain[0];
+    if (drawCallCount !== originalDrawCallCount) {
+        console.log(`Draw calls: ${originalDrawCallCount} -> ${drawCallCount}`);
+    }
+
+    const animation = lodChain[0].optimizedData.stats.attributes.ANIMATION;
+    if (animation.original > 0) {
+        console.log(`Animation data: ${formatBytes(animation.original)} -> ${formatBytes(animation.optimized)}`);
+    }
+
+    if (values.bundle) {
+        const { byteLength, validation } = await write(outputPath, createLODBundle(lodChain));
+        console.log(
+            `${path.basename(outputPath)}: ${lodChain.length} LODs, ${formatBytes(inputBytes)} -> ${formatBytes(byteLength)}`,
+        );
+        validate(path.basename(outputPath), validation);
+    } else {
+        for (let i = 0; i < lodChain.length; i++) {
+            const lod = lodChain[i];
+            const lodPath = i === 0 ? outputPath : outputPath.replace(/(\.glb|\.gltf)?$/i, `_lod${i}${extension}`);
+            const { byteLength, validation } = await write(lodPath, lod.optimizedData);
+
+            console.log(
+                `${path.basename(lodPath)}: LOD ${lod.levelPercent}, ${lod.triangleCount.toLocaleString()} triangles, ` +
+                    `${formatBytes(inputBytes)} -> ${formatBytes(byteLength)}`,
+            );
+            validate(path.basename(lodPath), validation);
+        }
+    }
+
+    if (values['fail-on-errors'] && validationErrors > 0) {
+        throw new Error(`validation found ${validationErrors} errors`);
+    }
+}
+
+/**
+ * Write one GLB, plus its meshopt fallback buffer when enabled, and return the GLB's size
+ * (viewers with a meshopt decoder never download the fallback) and its validation report
+ */
+async function writeGLBOutput(outputPath, optimizedData, options, processedImages) {
+    const fallbackName = `${path.basename(outputPath).replace(/\.glb$/i, '')}_fallback.bin`;
+    const glb = writeGLB(
+        optimizedData,
+        { ...options, meshoptFallbackURI: options.meshoptFallback ? encodeURIComponent(fallbackName) : undefined },
+        processedImages,
+    );
+    await writeFile(outputPath, new Uint8Array(glb));
+
+    const fallback = options.meshoptFallback ? writeMeshoptFallback(glb) : null;
+    const resources = new Map();
+    if (fallback) {
+        await writeFile(path.join(path.dirname(outputPath), fallbackName), fallback);
+        resources.set(encodeURIComponent(fallbackName), fallback.buffer);
+    }
+    return { byteLength: glb.byteLength, validation: validateGLTF(parseGLB(glb, resources)) };
+}
+
+/**
+ * Write a .gltf plus its .bin and image files next to it, and return their total size
+ * (not counting a meshopt fallback buffer, like writeGLBOutput) and their validation report
+ */
+async function writeSplitOutput(outputPath, optimizedData, options, processedImages, externalImages) {
+    const baseName = path.basename(outputPath).replace(/\.gltf$/i, '');
+    const { json, files } = writeGLTF(optimizedData, options, processedImages, { baseName, externalImages });
+
+    const jsonString = JSON.stringify(json);
+    const jsonBytes = new TextEncoder().encode(jsonString);
+    await writeFile(outputPath, jsonBytes);
+
+    let byteLength = jsonBytes.byteLength;
+    const resources = new Map();
+    for (const [fileName, data] of files) {
+        await writeFile(path.join(path.dirname(outputPath), fileName), data);
+        if (fileName !== `${baseName}_fallback.bin`) byteLength += data.byteLength;
+        resources.set(
+            encodeURIComponent(fileName),
+            data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength),
+        );
+    }
+    return { byteLength, validation: validateGLTF(parseGLTF(jsonString, resources)) };
+}
+
+/**
+ * Parse a .glb, or a .gltf together with the buffer and image files it references
+ * @returns {Promise<{parsedGLB: Object, inputBytes: number}>} Parsed model and total bytes read
+ */
+async function readInput(inputPath) {
+    const file = await readFile(inputPath);
+    const arrayBuffer = file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength);
+    if (isGLB(arrayBuffer)) {
+        return { parsedGLB: parseGLB(arrayBuffer), inputBytes: file.byteLength };
+    }
+
+    const jsonString = file.toString('utf-8');
+    const resources = new Map();
+    let inputBytes = file.byteLength;
+
+    for (const uri of getExternalURIs(JSON.parse(jsonString))) {
+        const resourcePath = path.join(path.dirname(inputPath), decodeURIComponent(uri));
+        const data = await readFile(resourcePath).catch(() => null);
+        if (data) {
+            resources.set(uri, data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+            inputBytes += data.byteLength;
+        }
+    }
+
+    return { parsedGLB: parseGLTF(jsonString, resources), inputBytes };
+}
+
+function buildArgConfig() {
+    const config = {
+        output: { type: 'string', short: 'o' },
+        lods: { type: 'string' },
+        bundle: { type: 'boolean' },
+        split: { type: 'boolean' },
+        'external-images': { type: 'boolean' },
+        'fail-on-errors': { type: 'boolean' },
+        verbose: { type: 'boolean', short: 'v' },
+        help: { type: 'boolean', short: 'h' },
+    };
+
+    for (const option of CLI_OPTIONS) {
+        if (option.type === 'boolean') {
+            config[option.name] = { type: 'boolean' };
+            config[`no-${option.name}`] = { type: 'boolean' };
+        } else {
+            config[option.name] = { type: 'string' };
+        }
+    }
+
+    return config;
+}
+
+function resolveOptions(values) {
+    const options = { ...DEFAULT_OPTIONS };
+
+    for (const option of CLI_OPTIONS) {
+        if (option.default !== undefined) {
+            options[option.key] = option.default;
+        }
+
+        if (option.type === 'boolean') {
+            if (values[option.name]) options[option.key] = true;
+            if (values[`no-${option.name}`]) options[option.key] = false;
+        } else if (option.type === 'string' && values[option.name] !== undefined) {
+            if (!option.choices.includes(values[option.name])) {
+                throw new Error(
+                    `Invalid value for --${option.name}: ${values[option.name]} (expected ${option.choices.join(', ')})`,
+                );
+            }
+            options[option.key] = values[option.name];
+        } else if (values[option.name] !== undefined) {
+            const value = Number(values[option.name]);
+            if (!Number.isFinite(value)) {
+                throw new Error(`Invalid value for --${option.name}: ${values[option.name]}`);
+            }
+            if (option.range && !(Number.isInteger(value) && value >= option.range[0] && value <= option.range[1])) {
+                throw new Error(
+                    `Invalid value for --${option.name}: ${values[option.name]} (expected an integer from ${option.range.join(' to ')})`,
+                );
+            }
+            options[option.key] = value;
+        }
+    }
+
+    return options;
+}
+
+function parseLevels(list) {
+    const levels = list.split(',').map((s) => Number(s.trim()));
+    if (levels.length === 0 || levels.some((l) => !Number.isFinite(l) || l <= 0 || l > 1)) {
+        throw new Error(`Invalid --lods: ${list} (expected ratios in (0, 1])`);
+    }
+    return levels;
+}
+
+/**
+ * Print a file's validation issues: errors and warnings, plus infos with --verbose
+ */
+function printValidation(fileName, { issues, errors, warnings, infos }, verbose) {
+    const listed = issues.filter((issue) => verbose || issue.severity !== 'info');
+    if (listed.length === 0) return;
+
+    console.log(`${fileName}: ${errors} validation errors, ${warnings} warnings, ${infos} infos`);
+    for (const { severity, code, pointer, message } of listed.slice(0, MAX_PRINTED_ISSUES)) {
+        console.log(`  ${severity} ${code} ${pointer}: ${message}`);
+    }
+    if (listed.length > MAX_PRINTED_ISSUES) {
+        console.log(`  ...and ${listed.length - MAX_PRINTED_ISSUES} more`);
+    }
+}
+
+function formatOptionHelp(option) {
+    const placeholder = option.type === 'string' ? '<format>' : '<n>';
+    const flag = option.type === 'boolean' ? `--[no-]${option.name}` : `--${option.name} ${placeholder}`;
+    const fallback = option.default ?? DEFAULT_OPTIONS[option.key];
+    return `  ${flag.padEnd(30)}${option.description} (default: ${fallback})`;
+}
+
+main(process.argv.slice(2)).catch((err) => {
+    console.error(`mesh-reduce: ${err.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,91 @@
+/**
+ * Compatibility - glTF 2.0 core output for engines and importers that reject extensions
+ *
+ * Maximum compatibility mode turns off everything that writes data only an extension makes
+ * valid: quantized attributes (KHR_mesh_quantization), meshopt compression, GPU instancing and
+ * texture formats without a fallback image. Attributes stay float and indices are 16 or 32-bit.
+ * Simplification, reordering, animation resampling, pruning and deduplication still run.
+ */
+
+import { GL } from './glb-parser.js';
+
+// Options that compatibilityMode overrides
+const COMPATIBILITY_OPTIONS = {
+    quantizePositions: false,
+    quantizeNormals: false,
+    quantizeUVs: false,
+    quantizeTangents: false,
+    quantizeWeights: false,
+    quantizeAnimations: false,
+    meshoptCompression: false,
+    meshoptFallback: false,
+    instanceMeshes: false,
+    textureFallback: true,
+};
+
+// Component types glTF 2.0 core allows for mesh attributes, as [componentType, normalized]
+const FLOAT = [GL.FLOAT, false];
+const UNSIGNED_NORMALIZED = [
+    [GL.UNSIGNED_BYTE, true],
+    [GL.UNSIGNED_SHORT, true],
+];
+const CORE_ATTRIBUTE_TYPES = {
+    POSITION: [FLOAT],
+    NORMAL: [FLOAT],
+    TANGENT: [FLOAT],
+    TEXCOORD: [FLOAT, ...UNSIGNED_NORMALIZED],
+    COLOR: [FLOAT, ...UNSIGNED_NORMALIZED],
+    JOINTS: [
+        [GL.UNSIGNED_BYTE, false],
+        [GL.UNSIGNED_SHORT, false],
+    ],
+    WEIGHTS: [FLOAT, ...UNSIGNED_NORMALIZED],
+};
+const CORE_TARGET_TYPES = {
+    POSITION: [FLOAT],
+    NORMAL: [FLOAT],
+    TANGENT: [FLOAT],
+    TEXCOORD: [FLOAT, [GL.BYTE, true], [GL.SHORT, true], ...UNSIGNED_NORMALIZED],
+    COLOR: [FLOAT, [GL.BYTE, true], [GL.SHORT, true], ...UNSIGNED_NORMALIZED],
+};
+
+/**
+ * Options as the pipeline applies them: with options.compatibilityMode, everything that needs an
+ * extension beyond glTF 2.0 core is turned off; otherwise the options are returned as they are
+ * @param {Object} options - Optimizer, texture and writer options
+ * @returns {Object}
+ */
+export function resolveCompatibilityOptions(options) {
+    if (!options.compatibilityMode) return options;
+    return { ...options, ...COMPATIBILITY_OPTIONS };
+}
+
+/**
+ * Whether any mesh attribute or morph target stores a component type that glTF 2.0 core does
+ * not allow for its semantic, so the file needs KHR_mesh_quantization.
+ * Application-specific attributes (starting with "_") are not restricted.
+ * @param {Object} json - glTF JSON with its accessors written
+ * @returns {boolean}
+ */
+export function needsMeshQuantization(json) {
+    const isCore = (accessorIndex, semantic, allowedTypes) => {
+        const name = semantic.replace(/_\d+$/, '');
+        if (semantic.startsWith('_') || !allowedTypes[name]) return true;
+        const { componentType, normalized = false } = json.accessors[accessorIndex];
+        return allowedTypes[name].some(([type, norm]) => type === componentType && norm === normalized);
+    };
+
+    for (const mesh of json.meshes || []) {
+        for (const prim of mesh.primitives) {
+            for (const [semantic, accessor] of Object.entries(prim.attributes)) {
+                if (!isCore(accessor, semantic, CORE_ATTRIBUTE_TYPES)) return true;
+            }
+            for (const target of prim.targets || []) {
+                for (const [semantic, accessor] of Object.entries(target)) {
+                    if (!isCore(accessor, semantic, CORE_TARGET_TYPES)) return true;
+                }
+            }
+        }
+    }
+    return false;
+}
@@ -0,0 +1,132 @@
+/**
+ * Dedupe - Merges identical images, samplers, textures and materials
+ *
+ * Models assembled from several exports often embed the same image more than once and carry
+ * materials that differ only by name. Images are matched by content; samplers, textures and
+ * materials by their canonical JSON without the name (optionally keeping material names), after
+ * their own references have been remapped, so that two textures pointing at duplicate images
+ * become duplicates themselves.
+ */
+
+import { forEachTextureSlot } from './glb-parser.js';
+
+/**
+ * Create a lookup of values by byte content
+ * @returns {{find: function(Uint8Array): *, add: function(Uint8Array, *): void}}
+ */
+export function createContentIndex() {
+    const buckets = new Map();
+
+    return {
+        find(bytes) {
+            return buckets.get(hashBytes(bytes))?.find((entry) => bytesEqual(entry.bytes, bytes))?.value;
+        },
+        add(bytes, value) {
+            const hash = hashBytes(bytes);
+            if (!buckets.has(hash)) buckets.set(hash, []);
+            buckets.get(hash).push({ bytes, value });
+        },
+    };
+}
+
+/**
+ * Merge samplers, textures and materials that are identical apart from their name, and remap
+ * every reference to them. Texture sources must already point at deduplicated images.
+ * @param {Object} json - Output glTF JSON (modified in place)
+ * @param {Object} [options]
+ * @param {boolean} [options.keepMaterialNames] - Only merge materials with the same name, for engines
+ *     that look materials up by name
+ * @returns {{samplers: number, textures: number, materials: number, bytes: number}} Entries removed and JSON bytes saved
+ */
+export function dedupeJSONResources(json, { keepMaterialNames = false } = {}) {
+    const samplers = dedupeArray(json, 'samplers');
+    for (const texture of json.textures || []) {
+        if (texture.sampler !== undefined) texture.sampler = samplers.remap[texture.sampler];
+    }
+
+    const textures = dedupeArray(json, 'textures');
+    for (const material of json.materials || []) {
+        forEachTextureSlot(material, (slot) => {
+            slot.index = textures.remap[slot.index];
+        });
+    }
+
+    const materials = dedupeArray(json, 'materials', keepMaterialNames);
+    for (const mesh of json.meshes || []) {
+        for (const prim of mesh.primitives) {
+            if (prim.material !== undefined) prim.material = materials.remap[prim.material];
+            for (const mapping of prim.extensions?.KHR_materials_variants?.mappings || []) {
+                mapping.material = materials.remap[mapping.material];
+            }
+        }
+    }
+
+    return {
+        samplers: samplers.removed,
+        textures: textures.removed,
+        materials: materials.removed,
+        bytes: samplers.bytes + textures.bytes + materials.bytes,
+    };
+}
+
+/**
+ * Keep the first of each set of equal entries in json[key], comparing names only if compareNames is set
+ * @returns {{remap: number[], removed: number, bytes: number}} New index by old index, and what was dropped
+ */
+function dedupeArray(json, key, compareNames = false) {
+    const entries = json[key] || [];
+    const indexByContent = new Map();
+    const kept = [];
+    const remap = [];
+    let bytes = 0;
+
+    for (let i = 0; i < entries.length; i++) {
+        const { name: _name, ...content } = entries[i];
+        const canonical = canonicalize(compareNames ? entries[i] : content);
+
+        if (indexByContent.has(canonical)) {
+            bytes += JSON.stringify(entries[i]).length;
+        } else {
+            indexByContent.set(canonical, kept.length);
+            kept.push(entries[i]);
+        }
+        remap.push(indexByContent.get(canonical));
+    }
+
+    if (json[key]) json[key] = kept;
+    return { remap, removed: entries.length - kept.length, bytes };
+}
+
+/**
+ * JSON with object keys sorted, so property order does not affect equality
+ */
+function canonicalize(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalize).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).sort();
+        return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalize(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * FNV-1a hash of a byte array
+ */
+function hashBytes(bytes) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < bytes.length; i++) {
+        hash ^= bytes[i];
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return `${hash >>> 0}:${bytes.length}`;
+}
+
+function bytesEqual(a, b) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
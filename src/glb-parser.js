@@ -1,12 +1,22 @@
 /**
  * GLB Parser - Parses glTF Binary (.glb) files
  *
+ * .gltf files are parsed from their JSON plus a map of external files (see parseGLTF), and can
+ * be packed into a single GLB (see packGLTF) where a self-contained buffer is needed.
+ * Buffer views are resolved through the file's buffer table, so multi-buffer files read correctly.
+ *
  * GLB Structure:
  * - 12-byte header: magic (4) + version (4) + length (4)
  * - JSON chunk: chunkLength (4) + chunkType (4) + JSON data
  * - BIN chunk: chunkLength (4) + chunkType (4) + binary data
+ *
+ * Buffer views compressed with EXT_meshopt_compression are decoded on access,
+ * and normalized attributes (KHR_mesh_quantization) are dequantized to floats.
+ * MeshoptDecoder must be ready (see initOptimizer) before reading compressed data.
  */
 
+import { MeshoptDecoder } from 'meshoptimizer';
+
 // GL constants for component types
 export const GL = {
     BYTE: 5120,
@@ -38,6 +48,17 @@ export const TYPE_COMPONENTS = {
     MAT4: 16,
 };
 
+// Primitive topology (primitive.mode)
+export const PRIMITIVE_MODE = {
+    POINTS: 0,
+    LINES: 1,
+    LINE_LOOP: 2,
+    LINE_STRIP: 3,
+    TRIANGLES: 4,
+    TRIANGLE_STRIP: 5,
+    TRIANGLE_FAN: 6,
+};
+
 // TypedArray constructors for each component type
 const TYPED_ARRAY = {
     [GL.BYTE]: Int8Array,
@@ -48,12 +69,22 @@ const TYPED_ARRAY = {
     [GL.FLOAT]: Float32Array,
 };
 
+// Divisor mapping normalized integers back to [-1, 1] / [0, 1]
+export const NORMALIZED_DIVISOR = {
+    [GL.BYTE]: 127,
+    [GL.UNSIGNED_BYTE]: 255,
+    [GL.SHORT]: 32767,
+    [GL.UNSIGNED_SHORT]: 65535,
+    [GL.UNSIGNED_INT]: 4294967295,
+};
+
 /**
  * Parse a GLB file from an ArrayBuffer
  * @param {ArrayBuffer} buffer - The GLB file data
- * @returns {Object} Parsed GLB with json, binChunk, and helper methods
+ * @param {Map<string, ArrayBuffer>} [resources] - Files for buffers or images referenced by URI, keyed by URI as written
+ * @returns {Object} Parsed GLB with json, buffers, binChunk, and helper methods
  */
-export function parseGLB(buffer) {
+export function parseGLB(buffer, resources = new Map()) {
     const view = new DataView(buffer);
 
     // Parse header
@@ -99,10 +130,204 @@ export function parseGLB(buffer) {
         throw new Error('GLB file missing JSON chunk');
     }
 
+    return createModel(json, loadBuffers(json, binChunk, resources), resources, {
+        binChunk,
+        totalSize: buffer.byteLength,
+    });
+}
+
+/**
+ * Parse a standalone glTF JSON file (for .gltf files)
+ * @param {string} jsonString - glTF JSON
+ * @param {Map<string, ArrayBuffer>} [resources] - External buffer and image files, keyed by URI as written
+ * @returns {Object} Parsed glTF with the same shape as parseGLB's result
+ */
+export function parseGLTF(jsonString, resources = new Map()) {
+    const json = JSON.parse(jsonString);
+    const buffers = loadBuffers(json, null, resources);
+
+    let totalSize = new TextEncoder().encode(jsonString).byteLength;
+    for (const uri of getExternalURIs(json)) {
+        totalSize += resources.get(uri)?.byteLength || 0;
+    }
+
+    return createModel(json, buffers, resources, { binChunk: null, totalSize });
+}
+
+/**
+ * Resolve the buffer table: the GLB BIN chunk, data: URIs and external files.
+ * Buffers without any data (e.g. meshopt fallback buffers) are null. Meshopt fallback files
+ * are optional, since the compressed data is read instead.
+ */
+function loadBuffers(json, binChunk, resources) {
+    return (json.buffers || []).map((buffer, i) => {
+        if (buffer.uri === undefined) {
+            return i === 0 ? binChunk : null;
+        }
+
+        const bytes = loadURI(buffer.uri, resources);
+        if (!bytes && buffer.extensions?.EXT_meshopt_compression?.fallback) return null;
+        if (!bytes) {
+            throw new Error(`Missing external buffer: ${decodeURIComponent(buffer.uri)}`);
+        }
+        return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    });
+}
+
+/**
+ * Build the accessor and primitive helpers over a glTF JSON and its resolved buffer table
+ */
+function createModel(json, buffers, resources, { binChunk, totalSize }) {
+    /**
+     * Get the buffer a buffer view (or meshopt extension) points into
+     */
+    function getBuffer(bufferIndex) {
+        const buffer = buffers[bufferIndex];
+        if (!buffer) {
+            throw new Error(`Buffer ${bufferIndex} has no data`);
+        }
+        return buffer;
+    }
+
+    function getBufferViewData(bufferViewIndex) {
+        const bufferView = json.bufferViews[bufferViewIndex];
+        return new Uint8Array(getBuffer(bufferView.buffer), bufferView.byteOffset || 0, bufferView.byteLength);
+    }
+
+    // Decoded EXT_meshopt_compression buffer views, by bufferView index
+    const decodedBufferViews = new Map();
+
+    /**
+     * Resolve the bytes backing a buffer view, decoding meshopt compression if present
+     */
+    function getBufferViewSource(bufferViewIndex) {
+        const bufferView = json.bufferViews[bufferViewIndex];
+        const meshopt = bufferView.extensions?.EXT_meshopt_compression;
+
+        if (!meshopt) {
+            return {
+                buffer: getBuffer(bufferView.buffer),
+                byteOffset: bufferView.byteOffset || 0,
+                byteStride: bufferView.byteStride,
+            };
+        }
+
+        if (!decodedBufferViews.has(bufferViewIndex)) {
+            if (!MeshoptDecoder.supported) {
+                throw new Error('EXT_meshopt_compression data requires WebAssembly support');
+            }
+
+            const source = new Uint8Array(getBuffer(meshopt.buffer), meshopt.byteOffset || 0, meshopt.byteLength);
+            const target = new Uint8Array(meshopt.count * meshopt.byteStride);
+            MeshoptDecoder.decodeGltfBuffer(
+                target,
+                meshopt.count,
+                meshopt.byteStride,
+                source,
+                meshopt.mode,
+                meshopt.filter || 'NONE',
+            );
+            decodedBufferViews.set(bufferViewIndex, target.buffer);
+        }
+
+        return { buffer: decodedBufferViews.get(bufferViewIndex), byteOffset: 0, byteStride: meshopt.byteStride };
+    }
+
+    /**
+     * Read count elements of numComponents components from a buffer view
+     */
+    function readElements(bufferViewIndex, accessorByteOffset, componentType, numComponents, count) {
+        const source = getBufferViewSource(bufferViewIndex);
+
+        const componentSize = COMPONENT_SIZE[componentType];
+        const elementSize = componentSize * numComponents;
+
+        const byteOffset = source.byteOffset + (accessorByteOffset || 0);
+        const byteStride = source.byteStride || elementSize;
+
+        const TypedArrayConstructor = TYPED_ARRAY[componentType];
+
+        // If data is tightly packed (no stride or stride equals element size)
+        if (!source.byteStride || source.byteStride === elementSize) {
+            return new TypedArrayConstructor(source.buffer, byteOffset, count * numComponents);
+        }
+
+        // Handle strided data - need to copy
+        const result = new TypedArrayConstructor(count * numComponents);
+        const sourceView = new DataView(source.buffer);
+
+        for (let i = 0; i < count; i++) {
+            const srcOffset = byteOffset + i * byteStride;
+            for (let j = 0; j < numComponents; j++) {
+                const value = readComponent(sourceView, srcOffset + j * componentSize, componentType);
+                result[i * numComponents + j] = value;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Substitute sparse accessor values into dense data
+     */
+    function applySparse(target, sparse, componentType, numComponents) {
+        const indices = readElements(
+            sparse.indices.bufferView,
+            sparse.indices.byteOffset,
+            sparse.indices.componentType,
+            1,
+            sparse.count,
+        );
+        const values = readElements(
+            sparse.values.bufferView,
+            sparse.values.byteOffset,
+            componentType,
+            numComponents,
+            sparse.count,
+        );
+
+        for (let i = 0; i < sparse.count; i++) {
+            for (let j = 0; j < numComponents; j++) {
+                target[indices[i] * numComponents + j] = values[i * numComponents + j];
+            }
+        }
+    }
+
     return {
         json,
+        buffers,
         binChunk,
 
+        /**
+         * Get the raw (still compressed, if meshopt-encoded) bytes of a buffer view
+         * @param {number} bufferViewIndex - Index into json.bufferViews
+         * @returns {Uint8Array} View into the owning buffer
+         */
+        getBufferViewData,
+
+        /**
+         * Get the encoded bytes of an image, from a buffer view, a data: URI or an external file
+         * @param {number} imageIndex - Index into json.images
+         * @returns {Uint8Array|null} Image file data, or null if its external file was not provided
+         */
+        getImageData(imageIndex) {
+            const image = json.images[imageIndex];
+            if (image.bufferView !== undefined) {
+                return getBufferViewData(image.bufferView);
+            }
+            return image.uri !== undefined ? loadURI(image.uri, resources) : null;
+        },
+
+        /**
+         * Get an image's MIME type, guessing from its URI when the file does not declare one
+         * @param {number} imageIndex - Index into json.images
+         * @returns {string} MIME type
+         */
+        getImageMimeType(imageIndex) {
+            const image = json.images[imageIndex];
+            return image.mimeType || (image.uri !== undefined ? guessImageMimeType(image.uri) : 'image/png');
+        },
+
         /**
          * Get accessor data as a typed array
          * @param {number} accessorIndex - Index into json.accessors
@@ -110,32 +335,27 @@ export function parseGLB(buffer) {
          */
         getAccessorData(accessorIndex) {
             const accessor = json.accessors[accessorIndex];
-            const bufferView = json.bufferViews[accessor.bufferView];
-
-            const componentSize = COMPONENT_SIZE[accessor.componentType];
             const numComponents = TYPE_COMPONENTS[accessor.type];
-            const elementSize = componentSize * numComponents;
-
-            const byteOffset = (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
-            const byteStride = bufferView.byteStride || elementSize;
-
             const TypedArrayConstructor = TYPED_ARRAY[accessor.componentType];
 
-            // If data is tightly packed (no stride or stride equals element size)
-            if (!bufferView.byteStride || bufferView.byteStride === elementSize) {
-                return new TypedArrayConstructor(binChunk, byteOffset, accessor.count * numComponents);
-            }
-
-            // Handle strided data - need to copy
-            const result = new TypedArrayConstructor(accessor.count * numComponents);
-            const sourceView = new DataView(binChunk);
-
-            for (let i = 0; i < accessor.count; i++) {
-                const srcOffset = byteOffset + i * byteStride;
-                for (let j = 0; j < numComponents; j++) {
-                    const value = readComponent(sourceView, srcOffset + j * componentSize, accessor.componentType);
-                    result[i * numComponents + j] = value;
+            // Accessors without a bufferView are zero-initialized
+            let result =
+                accessor.bufferView === undefined
+                    ? new TypedArrayConstructor(accessor.count * numComponents)
+                    : readElements(
+                          accessor.bufferView,
+                          accessor.byteOffset,
+                          accessor.componentType,
+                          numComponents,
+                          accessor.count,
+                      );
+
+            if (accessor.sparse) {
+                // Copy first so the substitution never writes into the shared buffer
+                if (accessor.bufferView !== undefined) {
+                    result = new TypedArrayConstructor(result);
                 }
+                applySparse(result, accessor.sparse, accessor.componentType, numComponents);
             }
 
             return result;
@@ -148,6 +368,13 @@ export function parseGLB(buffer) {
         getAllPrimitives() {
             const primitives = [];
 
+            // Meshes instantiated by a skinned node: their node transform is ignored when skinning
+            const skinnedMeshes = new Set(
+                (json.nodes || [])
+                    .filter((node) => node.skin !== undefined && node.mesh !== undefined)
+                    .map((n) => n.mesh),
+            );
+
             for (let meshIdx = 0; meshIdx < (json.meshes || []).length; meshIdx++) {
                 const mesh = json.meshes[meshIdx];
 
@@ -157,7 +384,8 @@ export function parseGLB(buffer) {
                         meshIndex: meshIdx,
                         primitiveIndex: primIdx,
                         meshName: mesh.name || `mesh_${meshIdx}`,
-                        mode: prim.mode !== undefined ? prim.mode : 4, // Default to TRIANGULAR
+                        skinned: skinnedMeshes.has(meshIdx),
+                        mode: prim.mode !== undefined ? prim.mode : PRIMITIVE_MODE.TRIANGLES,
                         material: prim.material,
                         attributes: {},
                     };
@@ -168,12 +396,26 @@ export function parseGLB(buffer) {
                         primData.indicesAccessor = json.accessors[prim.indices];
                     }
 
-                    // Get all attributes
+                    // Get all attributes, dequantizing normalized ones to floats
                     for (const [attrName, accessorIdx] of Object.entries(prim.attributes)) {
-                        primData.attributes[attrName] = {
-                            data: this.getAccessorData(accessorIdx),
-                            accessor: json.accessors[accessorIdx],
-                        };
+                        primData.attributes[attrName] = dequantizeAttribute(
+                            this.getAccessorData(accessorIdx),
+                            json.accessors[accessorIdx],
+                        );
+                    }
+
+                    // Get morph target deltas, same treatment as attributes
+                    if (prim.targets) {
+                        primData.targets = prim.targets.map((target) => {
+                            const targetData = {};
+                            for (const [attrName, accessorIdx] of Object.entries(target)) {
+                                targetData[attrName] = dequantizeAttribute(
+                                    this.getAccessorData(accessorIdx),
+                                    json.accessors[accessorIdx],
+                                );
+                            }
+                            return targetData;
+                        });
                     }
 
                     primitives.push(primData);
@@ -198,15 +440,17 @@ export function parseGLB(buffer) {
                     primitiveCount++;
 
                     // Count vertices from POSITION accessor
-                    if (prim.attributes.POSITION !== undefined) {
-                        const accessor = json.accessors[prim.attributes.POSITION];
-                        totalVertices += accessor.count;
-                    }
-
-                    // Count triangles from indices
-                    if (prim.indices !== undefined) {
-                        const accessor = json.accessors[prim.indices];
-                        totalTriangles += Math.floor(accessor.count / 3);
+                    const vertexCount =
+                        prim.attributes.POSITION !== undefined ? json.accessors[prim.attributes.POSITION].count : 0;
+                    totalVertices += vertexCount;
+
+                    // Count triangles from indices, or from vertices for non-indexed primitives
+                    const elementCount = prim.indices !== undefined ? json.accessors[prim.indices].count : vertexCount;
+                    const mode = prim.mode !== undefined ? prim.mode : PRIMITIVE_MODE.TRIANGLES;
+                    if (mode === PRIMITIVE_MODE.TRIANGLES) {
+                        totalTriangles += Math.floor(elementCount / 3);
+                    } else if (mode === PRIMITIVE_MODE.TRIANGLE_STRIP || mode === PRIMITIVE_MODE.TRIANGLE_FAN) {
+                        totalTriangles += Math.max(elementCount - 2, 0);
                     }
                 }
             }
@@ -217,7 +461,7 @@ export function parseGLB(buffer) {
                 totalVertices,
                 totalTriangles,
                 binChunkSize: binChunk ? binChunk.byteLength : 0,
-                totalSize: buffer.byteLength,
+                totalSize,
             };
         },
     };
@@ -246,40 +490,177 @@ function readComponent(view, offset, componentType) {
 }
 
 /**
- * Parse a standalone glTF JSON file (for .gltf files)
- * Note: External buffers not supported - use GLB instead
+ * Convert normalized integer attribute data (KHR_mesh_quantization) to floats
+ * @param {TypedArray} data - Raw accessor data
+ * @param {Object} accessor - glTF accessor describing the data
+ * @returns {{data: TypedArray, accessor: Object}} Float data and a matching accessor description
  */
-export function parseGLTF(jsonString) {
+function dequantizeAttribute(data, accessor) {
+    if (!accessor.normalized || accessor.componentType === GL.FLOAT) {
+        return { data, accessor };
+    }
+
+    const divisor = NORMALIZED_DIVISOR[accessor.componentType];
+    const result = new Float32Array(data.length);
+    for (let i = 0; i < data.length; i++) {
+        result[i] = Math.max(data[i] / divisor, -1);
+    }
+
+    const { normalized: _normalized, ...rest } = accessor;
+    return { data: result, accessor: { ...rest, componentType: GL.FLOAT } };
+}
+
+/**
+ * Pack a glTF JSON file and its resources into a single GLB
+ *
+ * Every buffer is laid out back to back in the BIN chunk, with buffer views rebased onto it,
+ * and images stored by URI (external or data:) are moved into buffer views.
+ *
+ * @param {string} jsonString - glTF JSON
+ * @param {Map<string, ArrayBuffer>} [resources] - External buffer and image files, keyed by URI as written
+ * @returns {ArrayBuffer} GLB data
+ */
+export function packGLTF(jsonString, resources = new Map()) {
     const json = JSON.parse(jsonString);
 
-    // Check for embedded base64 buffers
-    const buffers = [];
-    for (const buffer of json.buffers || []) {
-        if (buffer.uri?.startsWith('data:')) {
-            const base64 = buffer.uri.split(',')[1];
-            const binary = atob(base64);
-            const bytes = new Uint8Array(binary.length);
-            for (let i = 0; i < binary.length; i++) {
-                bytes[i] = binary.charCodeAt(i);
-            }
-            buffers.push(bytes.buffer);
-        } else {
-            throw new Error('External buffer URIs not supported. Please use GLB format.');
+    const chunks = [];
+    let binLength = 0;
+    const append = (bytes) => {
+        const offset = binLength;
+        chunks.push({ offset, bytes });
+        binLength = Math.ceil((offset + bytes.byteLength) / 4) * 4;
+        return offset;
+    };
+
+    // Buffers without a URI hold no data in a .gltf (e.g. meshopt fallback buffers)
+    const bufferOffsets = (json.buffers || []).map((buffer) => {
+        if (buffer.uri === undefined) return append(new Uint8Array(0));
+
+        const bytes = loadURI(buffer.uri, resources);
+        if (!bytes && buffer.extensions?.EXT_meshopt_compression?.fallback) return append(new Uint8Array(0));
+        if (!bytes) {
+            throw new Error(`Missing external buffer: ${decodeURIComponent(buffer.uri)}`);
+        }
+        return append(bytes);
+    });
+
+    for (const bufferView of json.bufferViews || []) {
+        bufferView.byteOffset = (bufferView.byteOffset || 0) + bufferOffsets[bufferView.buffer];
+        bufferView.buffer = 0;
+
+        const meshopt = bufferView.extensions?.EXT_meshopt_compression;
+        if (meshopt) {
+            meshopt.byteOffset = (meshopt.byteOffset || 0) + bufferOffsets[meshopt.buffer];
+            meshopt.buffer = 0;
+        }
+    }
+
+    for (const image of json.images || []) {
+        if (image.uri === undefined) continue;
+
+        const bytes = loadURI(image.uri, resources);
+        if (!bytes) {
+            console.warn(`Missing external image, keeping its URI: ${decodeURIComponent(image.uri)}`);
+            continue;
         }
+
+        json.bufferViews = json.bufferViews || [];
+        json.bufferViews.push({ buffer: 0, byteOffset: append(bytes), byteLength: bytes.byteLength });
+        image.mimeType = image.mimeType || guessImageMimeType(image.uri);
+        image.bufferView = json.bufferViews.length - 1;
+        delete image.uri;
     }
 
-    // For simplicity, concatenate all buffers (most files have just one)
-    const totalLength = buffers.reduce((sum, b) => sum + b.byteLength, 0);
-    const binChunk = new ArrayBuffer(totalLength);
-    const view = new Uint8Array(binChunk);
-    let offset = 0;
-    for (const buffer of buffers) {
-        view.set(new Uint8Array(buffer), offset);
-        offset += buffer.byteLength;
+    const binChunk = new ArrayBuffer(binLength);
+    const binBytes = new Uint8Array(binChunk);
+    for (const { offset, bytes } of chunks) {
+        binBytes.set(bytes, offset);
+    }
+
+    json.buffers = binLength > 0 ? [{ byteLength: binLength }] : undefined;
+
+    return createGLBFromParts(json, binChunk);
+}
+
+/**
+ * List the external (non data:) URIs a glTF file references, in buffer then image order
+ * @param {Object} json - glTF JSON
+ * @returns {string[]} Unique URIs, as written in the file
+ */
+export function getExternalURIs(json) {
+    const uris = new Set();
+    for (const item of [...(json.buffers || []), ...(json.images || [])]) {
+        if (item.uri !== undefined && !item.uri.startsWith('data:')) {
+            uris.add(item.uri);
+        }
     }
+    return [...uris];
+}
 
-    // Return same interface as parseGLB
-    return parseGLB(createGLBFromParts(json, binChunk));
+/**
+ * Load a buffer or image URI: data: URIs are decoded, anything else is looked up in resources
+ * @returns {Uint8Array|null} Bytes, or null if the file was not provided
+ */
+function loadURI(uri, resources) {
+    if (uri.startsWith('data:')) return decodeDataURI(uri);
+    const data = resources.get(uri);
+    return data ? new Uint8Array(data) : null;
+}
+
+function decodeDataURI(uri) {
+    const comma = uri.indexOf(',');
+    const header = uri.slice(0, comma);
+    const payload = uri.slice(comma + 1);
+
+    // Percent escapes are single bytes; other characters keep their char code
+    const binary = header.endsWith(';base64')
+        ? atob(payload)
+        : payload.replace(/%([0-9a-f]{2})/gi, (_match, hex) => String.fromCharCode(Number.parseInt(hex, 16)));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+function guessImageMimeType(uri) {
+    if (uri.startsWith('data:')) {
+        return uri.slice(5, uri.search(/[;,]/));
+    }
+
+    const extension = uri.split(/[?#]/)[0].split('.').pop().toLowerCase();
+    const mimeTypes = {
+        jpg: 'image/jpeg',
+        jpeg: 'image/jpeg',
+        png: 'image/png',
+        webp: 'image/webp',
+        ktx2: 'image/ktx2',
+    };
+    return mimeTypes[extension] || 'image/png';
+}
+
+/**
+ * Visit every texture reference (textureInfo) of a material, including those nested in material extensions
+ * @param {Object} material - glTF material
+ * @param {function(Object, string): void} callback - Called with the textureInfo object and its property name
+ */
+export function forEachTextureSlot(material, callback) {
+    for (const [key, value] of Object.entries(material)) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) continue;
+
+        if (key.endsWith('Texture') && typeof value.index === 'number') {
+            callback(value, key);
+        } else {
+            forEachTextureSlot(value, callback);
+        }
+    }
+}
+
+/**
+ * Texture coordinate set a textureInfo reads, honoring a KHR_texture_transform texCoord override
+ */
+export function getTextureSlotTexCoord(slot) {
+    return slot.extensions?.KHR_texture_transform?.texCoord ?? slot.texCoord ?? 0;
 }
 
 /**
@@ -3,34 +3,384 @@
  *
  * Creates a valid GLB with:
  * - Quantized vertex attributes
- * - KHR_mesh_quantization extension
- * - EXT_meshopt_compression for actual byte compression
+ * - KHR_mesh_quantization extension, declared only when an attribute needs it
+ * - EXT_meshopt_compression for actual byte compression, with octahedral, quaternion and exponential filters
+ *   and an optional fallback buffer holding the uncompressed data
  * - Optimized buffer layout
- * - Preserved images and textures
+ * - Preserved images and textures, with duplicate images, samplers, textures and materials merged
+ * - Pruning of nodes, meshes, materials, images and accessors that no scene reaches
+ * - Either a single GLB, or a .gltf with geometry, textures or images in separate files (optionally zipped)
+ * - Pass-through of extensions and extras that do not point into buffer data
+ * - Optional MSFT_lod bundles holding every LOD level
+ * - EXT_mesh_gpu_instancing transforms for nodes grouped by the instancing pass
  */
 
-import { MeshoptEncoder } from 'meshoptimizer';
-import { COMPONENT_SIZE, GL, TYPE_COMPONENTS } from './glb-parser.js';
+import { MeshoptDecoder, MeshoptEncoder } from 'meshoptimizer';
+import { needsMeshQuantization, resolveCompatibilityOptions } from './compatibility.js';
+import { createContentIndex, dedupeJSONResources } from './dedupe.js';
+import {
+    COMPONENT_SIZE,
+    forEachTextureSlot,
+    GL,
+    getTextureSlotTexCoord,
+    PRIMITIVE_MODE,
+    parseGLB,
+    TYPE_COMPONENTS,
+} from './glb-parser.js';
+import { sniffMimeType } from './image-codec.js';
+import { pruneUnused } from './prune.js';
+import { getMeshoptFilter, quantizeNormals, quantizeTangents } from './quantizer.js';
+import { createZip } from './zip-writer.js';
+
+// Extensions that index accessors, buffer views or buffers, which the writer renumbers
+const BUFFER_BOUND_EXTENSIONS = new Set([
+    'KHR_draco_mesh_compression',
+    'EXT_mesh_gpu_instancing',
+    'EXT_structural_metadata',
+    'EXT_feature_metadata',
+    'CESIUM_primitive_outline',
+]);
 
 /**
  * Write optimized data to a GLB file
+ *
+ * With options.deduplicateResources (on unless false), options.onDeduplicate(stats), if set, is
+ * called with the number of merged images, samplers, textures and materials and the bytes saved.
+ * With options.pruneUnused (on unless false), options.onPrune(removed), if set, is called with
+ * the number of removed entries per top-level array; options.keepUnusedMaterials keeps materials,
+ * and keeps materials with different names apart when deduplicating.
+ * When attributes go through EXT_meshopt_compression filters, options.onFilter(stats), if set, is
+ * called with {attributes, bytes, unfilteredBytes} per filter name.
+ * Compressed buffer views point into a fallback buffer laid out for their decoded data. A GLB
+ * cannot hold a second buffer, so it is left empty and compression stays required, unless
+ * options.meshoptFallback is set and options.meshoptFallbackURI names the file it is shipped in
+ * (see writeMeshoptFallback).
  */
 export function writeGLB(optimizedData, options = {}, processedImages = null) {
-    const { primitives, originalJSON, originalBinChunk } = optimizedData;
+    const { json, binary } = buildGLTF(optimizedData, options, processedImages);
+    json.buffers = [{ byteLength: binary.byteLength }];
+    addFallbackBuffer(json, options.meshoptFallback ? options.meshoptFallbackURI : undefined);
+    return packGLB(json, binary);
+}
+
+/**
+ * Decode the EXT_meshopt_compression fallback buffer of a GLB, to ship next to it under
+ * options.meshoptFallbackURI
+ * @param {ArrayBuffer} glbData - GLB data from writeGLB
+ * @returns {Uint8Array|null} Fallback buffer contents, or null if the GLB has no compressed data
+ */
+export function writeMeshoptFallback(glbData) {
+    const { json, binChunk } = parseGLB(glbData);
+    const bufferIndex = (json.buffers || []).findIndex(isFallbackBuffer);
+    if (bufferIndex === -1) return null;
+    return decodeFallbackBuffer(json, bufferIndex, new Uint8Array(binChunk));
+}
+
+/**
+ * Write optimized data as a .gltf with a split buffer layout, so geometry and textures
+ * can be cached separately (e.g. on a CDN)
+ * @param {Object} optimizedData - Output of optimizeGLB
+ * @param {Object} options - Writer options (same as writeGLB)
+ * @param {Map<number, Uint8Array>} processedImages - Optional resized images
+ * @param {Object} [layout] - File layout, see layoutGLTFFiles
+ * @returns {{json: Object, files: Map<string, Uint8Array>}} glTF JSON and the files it references, by file name
+ */
+export function writeGLTF(optimizedData, options = {}, processedImages = null, layout = {}) {
+    const { json, binary } = buildGLTF(optimizedData, options, processedImages);
+    return layoutGLTFFiles(json, binary, { meshoptFallback: options.meshoptFallback, ...layout });
+}
+
+/**
+ * Convert a GLB into a .gltf and the separate files it references
+ * @param {ArrayBuffer} glbData - GLB data, e.g. from writeGLB
+ * @param {Object} [layout] - File layout, see layoutGLTFFiles
+ * @returns {{json: Object, files: Map<string, Uint8Array>}} glTF JSON and the files it references, by file name
+ */
+export function unpackGLB(glbData, layout = {}) {
+    const { json, binChunk } = parseGLB(glbData);
+    return layoutGLTFFiles(json, new Uint8Array(binChunk || new ArrayBuffer(0)), layout);
+}
+
+/**
+ * Move the buffer views of a single-buffer glTF into separate files referenced by URI:
+ * geometry and animation data in <baseName>.bin, and images either in <baseName>_textures.bin
+ * or, with externalImages, as one image file each. Compressed views get an EXT_meshopt_compression
+ * fallback buffer; with meshoptFallback, their decoded data goes in <baseName>_fallback.bin and
+ * compression becomes optional.
+ * @param {Object} json - glTF JSON whose buffer views all point into binary (modified in place)
+ * @param {Uint8Array} binary - Buffer 0 data
+ * @param {Object} layout
+ * @param {string} [layout.baseName] - File name stem
+ * @param {boolean} [layout.externalImages] - Write images as individual files instead of a texture buffer
+ * @param {boolean} [layout.meshoptFallback] - Write a fallback buffer for EXT_meshopt_compression
+ */
+function layoutGLTFFiles(json, binary, { baseName = 'model', externalImages = false, meshoptFallback = false } = {}) {
+    const files = new Map();
+    json.bufferViews = json.bufferViews || [];
+    const sliceView = (region) => binary.subarray(region.byteOffset || 0, (region.byteOffset || 0) + region.byteLength);
+
+    // Decode before the compressed data moves; the fallback layout is assigned once buffers are final
+    const decodedViews = new Map();
+    if (meshoptFallback) {
+        for (const bufferView of json.bufferViews) {
+            const meshopt = bufferView.extensions?.EXT_meshopt_compression;
+            if (meshopt) decodedViews.set(bufferView, decodeMeshoptView(meshopt, sliceView(meshopt)));
+        }
+    }
+
+    const imageBufferViews = new Set();
+    for (const image of json.images || []) {
+        if (image.bufferView !== undefined) imageBufferViews.add(image.bufferView);
+    }
+
+    if (externalImages && imageBufferViews.size > 0) {
+        const usedNames = new Set();
+        json.images.forEach((image, i) => {
+            if (image.bufferView === undefined) return;
+
+            const fileName = getImageFileName(image, i, baseName, usedNames);
+            files.set(fileName, sliceView(json.bufferViews[image.bufferView]).slice());
+
+            image.uri = encodeURIComponent(fileName);
+            delete image.bufferView;
+        });
+
+        removeBufferViews(json, imageBufferViews);
+        imageBufferViews.clear();
+    }
+
+    const buffers = [
+        { fileName: `${baseName}.bin`, chunks: [], byteLength: 0 },
+        { fileName: `${baseName}_textures.bin`, chunks: [], byteLength: 0 },
+    ];
+
+    // Every view is 4-byte aligned in its new buffer, which satisfies any accessor component size
+    const assigned = [];
+    for (let i = 0; i < json.bufferViews.length; i++) {
+        const bufferView = json.bufferViews[i];
+        const meshopt = bufferView.extensions?.EXT_meshopt_compression;
+        const region = meshopt || bufferView;
+        const target = buffers[imageBufferViews.has(i) ? 1 : 0];
+
+        const byteOffset = alignTo(target.byteLength, 4);
+        target.chunks.push({ byteOffset, bytes: sliceView(region) });
+        target.byteLength = byteOffset + region.byteLength;
+
+        bufferView.byteOffset = byteOffset;
+        if (meshopt) meshopt.byteOffset = byteOffset;
+        assigned.push(target);
+    }
+
+    // Only buffers that received data are written; renumber views onto them
+    const used = buffers.filter((buffer) => buffer.byteLength > 0);
+    json.bufferViews.forEach((bufferView, i) => {
+        const bufferIndex = used.indexOf(assigned[i]);
+        bufferView.buffer = bufferIndex;
+        if (bufferView.extensions?.EXT_meshopt_compression) {
+            bufferView.extensions.EXT_meshopt_compression.buffer = bufferIndex;
+        }
+    });
+
+    for (const buffer of used) {
+        const data = new Uint8Array(alignTo(buffer.byteLength, 4));
+        for (const { byteOffset, bytes } of buffer.chunks) {
+            data.set(bytes, byteOffset);
+        }
+        files.set(buffer.fileName, data);
+    }
+
+    json.buffers =
+        used.length > 0
+            ? used.map((buffer) => ({ uri: encodeURIComponent(buffer.fileName), byteLength: buffer.byteLength }))
+            : undefined;
+    if (json.bufferViews.length === 0) delete json.bufferViews;
+
+    if (decodedViews.size === 0) {
+        if (json.buffers) addFallbackBuffer(json);
+    } else {
+        const fileName = `${baseName}_fallback.bin`;
+        addFallbackBuffer(json, encodeURIComponent(fileName));
+        const data = new Uint8Array(alignTo(json.buffers[json.buffers.length - 1].byteLength, 4));
+        for (const [bufferView, bytes] of decodedViews) data.set(bytes, bufferView.byteOffset);
+        files.set(fileName, data);
+    }
+
+    return { json, files };
+}
+
+/**
+ * Point every EXT_meshopt_compression buffer view at a new fallback buffer laid out for its
+ * decoded data. Loaders with a decoder never read that buffer; without a URI it holds no data,
+ * so compression stays required.
+ * @param {Object} json - glTF JSON with its final buffers (modified in place)
+ * @param {string} [uri] - Where the decoded data is shipped, which makes compression optional
+ */
+function addFallbackBuffer(json, uri) {
+    const bufferIndex = json.buffers.length;
+    let byteLength = 0;
+
+    for (const bufferView of json.bufferViews || []) {
+        const meshopt = bufferView.extensions?.EXT_meshopt_compression;
+        if (!meshopt) continue;
+
+        bufferView.buffer = bufferIndex;
+        bufferView.byteOffset = alignTo(byteLength, 4);
+        bufferView.byteLength = meshopt.count * meshopt.byteStride;
+        byteLength = bufferView.byteOffset + bufferView.byteLength;
+    }
+    if (byteLength === 0) return;
+
+    json.buffers.push({
+        ...(uri && { uri }),
+        byteLength,
+        extensions: { EXT_meshopt_compression: { fallback: true } },
+    });
+
+    if (uri) {
+        const required = (json.extensionsRequired || []).filter((name) => name !== 'EXT_meshopt_compression');
+        if (required.length > 0) {
+            json.extensionsRequired = required;
+        } else {
+            delete json.extensionsRequired;
+        }
+    }
+}
+
+function isFallbackBuffer(buffer) {
+    return buffer.extensions?.EXT_meshopt_compression?.fallback === true;
+}
+
+/**
+ * Assemble a fallback buffer from the decoded data of the buffer views pointing into it
+ * @param {Uint8Array} binary - Buffer 0 data, which holds the compressed views
+ */
+function decodeFallbackBuffer(json, bufferIndex, binary) {
+    const data = new Uint8Array(alignTo(json.buffers[bufferIndex].byteLength, 4));
+    for (const bufferView of json.bufferViews || []) {
+        const meshopt = bufferView.extensions?.EXT_meshopt_compression;
+        if (!meshopt || bufferView.buffer !== bufferIndex) continue;
+
+        const start = meshopt.byteOffset || 0;
+        data.set(decodeMeshoptView(meshopt, binary.subarray(start, start + meshopt.byteLength)), bufferView.byteOffset);
+    }
+    return data;
+}
+
+function decodeMeshoptView(meshopt, source) {
+    const target = new Uint8Array(meshopt.count * meshopt.byteStride);
+    MeshoptDecoder.decodeGltfBuffer(
+        target,
+        meshopt.count,
+        meshopt.byteStride,
+        source,
+        meshopt.mode,
+        meshopt.filter || 'NONE',
+    );
+    return target;
+}
+
+/**
+ * Pick a unique file name for an image, from its name when it has one
+ */
+function getImageFileName(image, index, baseName, usedNames) {
+    const extensions = {
+        'image/png': 'png',
+        'image/jpeg': 'jpg',
+        'image/webp': 'webp',
+        'image/avif': 'avif',
+        'image/ktx2': 'ktx2',
+    };
+    const extension = extensions[image.mimeType] || 'png';
+
+    const stem = (image.name || '').replace(/\.[a-z0-9]+$/i, '').replace(/[^\w-]+/g, '_');
+    let name = `${baseName}_${stem || `image${index}`}.${extension}`;
+    if (usedNames.has(name)) {
+        name = `${baseName}_${stem || 'image'}_${index}.${extension}`;
+    }
+    usedNames.add(name);
+    return name;
+}
+
+/**
+ * Delete buffer views and renumber every reference to the remaining ones
+ */
+function removeBufferViews(json, removed) {
+    const remap = new Map();
+    const kept = [];
+    json.bufferViews.forEach((bufferView, i) => {
+        if (removed.has(i)) return;
+        remap.set(i, kept.length);
+        kept.push(bufferView);
+    });
+    json.bufferViews = kept;
+
+    for (const accessor of json.accessors || []) {
+        if (accessor.bufferView !== undefined) accessor.bufferView = remap.get(accessor.bufferView);
+        if (accessor.sparse) {
+            accessor.sparse.indices.bufferView = remap.get(accessor.sparse.indices.bufferView);
+            accessor.sparse.values.bufferView = remap.get(accessor.sparse.values.bufferView);
+        }
+    }
+    for (const image of json.images || []) {
+        if (image.bufferView !== undefined) image.bufferView = remap.get(image.bufferView);
+    }
+}
+
+/**
+ * Repack the binary so it only holds the remaining buffer views, each 4-byte aligned
+ */
+function compactBinary(json, binary) {
+    const chunks = [];
+    let byteLength = 0;
+
+    for (const bufferView of json.bufferViews || []) {
+        const meshopt = bufferView.extensions?.EXT_meshopt_compression;
+        const region = meshopt || bufferView;
+        const byteOffset = alignTo(byteLength, 4);
+        chunks.push({ byteOffset, bytes: binary.subarray(region.byteOffset, region.byteOffset + region.byteLength) });
+        byteLength = byteOffset + region.byteLength;
+
+        bufferView.byteOffset = byteOffset;
+        if (meshopt) meshopt.byteOffset = byteOffset;
+    }
+
+    const compacted = new Uint8Array(byteLength);
+    for (const { byteOffset, bytes } of chunks) {
+        compacted.set(bytes, byteOffset);
+    }
+    return compacted;
+}
+
+/**
+ * Build the output glTF JSON and one binary blob holding every buffer view (all on buffer 0).
+ * json.buffers is left for the caller, which decides the final buffer layout.
+ */
+function buildGLTF(optimizedData, writerOptions, processedImages) {
+    const options = resolveCompatibilityOptions(writerOptions);
+    const {
+        primitives,
+        originalJSON,
+        animationSamplers,
+        getOriginalAccessorData,
+        getOriginalImageData,
+        getOriginalImageMimeType,
+    } = optimizedData;
     const useMeshoptCompression = options.meshoptCompression !== false;
+    const deduplicate = options.deduplicateResources !== false;
 
     const json = {
         asset: {
             version: '2.0',
             generator: 'Playsaurus Mesh Reduce',
         },
-        extensionsUsed: ['KHR_mesh_quantization'],
-        extensionsRequired: ['KHR_mesh_quantization'],
+        extensionsUsed: [],
+        extensionsRequired: [],
     };
 
     if (useMeshoptCompression) {
         json.extensionsUsed.push('EXT_meshopt_compression');
         // MUST be in extensionsRequired - without decompression support, file is unreadable
+        // (unless a fallback buffer with the decoded data is shipped, see addFallbackBuffer)
         json.extensionsRequired.push('EXT_meshopt_compression');
     }
 
@@ -43,12 +393,224 @@ export function writeGLB(optimizedData, options = {}, processedImages = null) {
     if (originalJSON.animations) json.animations = JSON.parse(JSON.stringify(originalJSON.animations));
     if (originalJSON.skins) json.skins = JSON.parse(JSON.stringify(originalJSON.skins));
     if (originalJSON.cameras) json.cameras = JSON.parse(JSON.stringify(originalJSON.cameras));
+    if (originalJSON.extensions) json.extensions = JSON.parse(JSON.stringify(originalJSON.extensions));
+    if (originalJSON.extras) json.extras = JSON.parse(JSON.stringify(originalJSON.extras));
+    if (originalJSON.asset?.copyright) json.asset.copyright = originalJSON.asset.copyright;
+    if (originalJSON.asset?.extras) json.asset.extras = JSON.parse(JSON.stringify(originalJSON.asset.extras));
+
+    dropBufferBoundExtensions(json, '');
+
+    if (json.nodes?.some((node) => node.extensions?.MSFT_lod)) {
+        json.extensionsUsed.push('MSFT_lod');
+    }
 
     const bufferData = [];
     const bufferViews = [];
     const accessors = [];
     let currentOffset = 0;
 
+    const filterStats = {};
+
+    /**
+     * Write a vertex attribute (or morph target delta) and return its accessor index.
+     * Per-instance and animation data go through here too, with no buffer view target.
+     */
+    function writeVertexAttribute(attrName, attr, target = 34962) {
+        if (attr.filter) return writeFilteredAttribute(attrName, attr, target);
+
+        const componentSize = COMPONENT_SIZE[attr.componentType];
+        const elementSize = componentSize * TYPE_COMPONENTS[attr.type];
+        const count = attr.count;
+
+        // Vertex attribute elements must start on 4-byte boundaries (e.g. 16-bit VEC3 positions get padding)
+        const isVertexData = target === 34962;
+        const stride = isVertexData ? alignTo(elementSize, 4) : elementSize;
+        const data = stride === elementSize ? attr.data : padElements(attr.data, count, elementSize, stride);
+        const alignment = isVertexData ? 4 : componentSize;
+        const byteStride = stride === elementSize ? {} : { byteStride: stride };
+
+        let finalData;
+        let bufferView;
+
+        const canCompress =
+            useMeshoptCompression && MeshoptEncoder.supported && stride % 4 === 0 && stride <= 256 && count > 0;
+
+        if (canCompress) {
+            const dataBytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+            let compressed;
+            try {
+                compressed = MeshoptEncoder.encodeVertexBuffer(dataBytes, count, stride);
+            } catch (e) {
+                console.warn(`Failed to compress ${attrName} buffer, falling back to uncompressed:`, e);
+                compressed = null;
+            }
+
+            if (compressed) {
+                const alignedOffset = alignTo(currentOffset, 4);
+                if (alignedOffset > currentOffset) {
+                    bufferData.push(new Uint8Array(alignedOffset - currentOffset));
+                    currentOffset = alignedOffset;
+                }
+
+                bufferView = {
+                    buffer: 0,
+                    byteOffset: currentOffset,
+                    byteLength: compressed.byteLength,
+                    ...byteStride,
+                    extensions: {
+                        EXT_meshopt_compression: {
+                            buffer: 0,
+                            byteOffset: currentOffset,
+                            byteLength: compressed.byteLength,
+                            byteStride: stride,
+                            count: count,
+                            mode: 'ATTRIBUTES',
+                        },
+                    },
+                };
+                finalData = compressed;
+            } else {
+                const alignedOffset = alignTo(currentOffset, alignment);
+                if (alignedOffset > currentOffset) {
+                    bufferData.push(new Uint8Array(alignedOffset - currentOffset));
+                    currentOffset = alignedOffset;
+                }
+
+                bufferView = {
+                    buffer: 0,
+                    byteOffset: currentOffset,
+                    byteLength: data.byteLength,
+                    ...byteStride,
+                    ...(target !== null && { target }),
+                };
+                finalData = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+            }
+        } else {
+            const alignedOffset = alignTo(currentOffset, alignment);
+            if (alignedOffset > currentOffset) {
+                bufferData.push(new Uint8Array(alignedOffset - currentOffset));
+                currentOffset = alignedOffset;
+            }
+
+            bufferView = {
+                buffer: 0,
+                byteOffset: currentOffset,
+                byteLength: data.byteLength,
+                ...byteStride,
+                ...(target !== null && { target }),
+            };
+            finalData = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        }
+
+        bufferViews.push(bufferView);
+
+        const accessor = {
+            bufferView: bufferViews.length - 1,
+            componentType: attr.componentType,
+            count: count,
+            type: attr.type,
+        };
+
+        if (attr.normalized) {
+            accessor.normalized = true;
+        }
+
+        if (attrName === 'POSITION' && attr.min && attr.max) {
+            accessor.min = attr.min;
+            accessor.max = attr.max;
+        }
+
+        accessors.push(accessor);
+
+        bufferData.push(finalData);
+        currentOffset += finalData.byteLength;
+
+        return accessors.length - 1;
+    }
+
+    /**
+     * Write float data through an EXT_meshopt_compression filter (see getMeshoptFilter), or
+     * without it when the data cannot be compressed
+     */
+    function writeFilteredAttribute(attrName, attr, target) {
+        const unfiltered = getUnfilteredAttribute(attr);
+        if (!useMeshoptCompression || !MeshoptEncoder.supported || attr.count === 0) {
+            return writeVertexAttribute(attrName, unfiltered, target);
+        }
+
+        // getMeshoptFilter checked the bit count; filter failures are errors, not a reason to drop the filter
+        const filtered = encodeFilter(attrName, attr);
+        let compressed;
+        try {
+            compressed = MeshoptEncoder.encodeVertexBuffer(filtered.bytes, attr.count, filtered.stride);
+        } catch (e) {
+            console.warn(`Failed to compress ${attrName} buffer, writing it unfiltered:`, e);
+            return writeVertexAttribute(attrName, unfiltered, target);
+        }
+
+        const stats = filterStats[attr.filter] || { attributes: 0, bytes: 0, unfilteredBytes: 0 };
+        filterStats[attr.filter] = stats;
+        stats.attributes++;
+        stats.bytes += compressed.byteLength;
+        stats.unfilteredBytes += getCompressedSize(unfiltered);
+
+        const alignedOffset = alignTo(currentOffset, 4);
+        if (alignedOffset > currentOffset) {
+            bufferData.push(new Uint8Array(alignedOffset - currentOffset));
+            currentOffset = alignedOffset;
+        }
+
+        const elementSize = COMPONENT_SIZE[filtered.componentType] * TYPE_COMPONENTS[attr.type];
+        bufferViews.push({
+            buffer: 0,
+            byteOffset: currentOffset,
+            byteLength: compressed.byteLength,
+            // Octahedral normals keep a padding component
+            ...(filtered.stride !== elementSize && { byteStride: filtered.stride }),
+            extensions: {
+                EXT_meshopt_compression: {
+                    buffer: 0,
+                    byteOffset: currentOffset,
+                    byteLength: compressed.byteLength,
+                    byteStride: filtered.stride,
+                    count: attr.count,
+                    mode: 'ATTRIBUTES',
+                    filter: attr.filter,
+                },
+            },
+        });
+
+        const accessor = {
+            bufferView: bufferViews.length - 1,
+            componentType: filtered.componentType,
+            count: attr.count,
+            type: attr.type,
+        };
+        if (filtered.normalized) accessor.normalized = true;
+        if (attrName === 'POSITION' && attr.min && attr.max) {
+            // Bounds of the values as decoded, which the filter rounds
+            const decoded = decodeExponential(filtered.bytes);
+            accessor.min = getBounds(decoded, attr.type, Math.min);
+            accessor.max = getBounds(decoded, attr.type, Math.max);
+        }
+        accessors.push(accessor);
+
+        bufferData.push(compressed);
+        currentOffset += compressed.byteLength;
+
+        return accessors.length - 1;
+    }
+
+    /**
+     * Size of an attribute once written without a filter, to report what the filter saved
+     */
+    function getCompressedSize(attr) {
+        const stride = COMPONENT_SIZE[attr.componentType] * TYPE_COMPONENTS[attr.type];
+        if (stride % 4 !== 0 || stride > 256) return attr.data.byteLength;
+        const bytes = new Uint8Array(attr.data.buffer, attr.data.byteOffset, attr.data.byteLength);
+        return MeshoptEncoder.encodeVertexBuffer(bytes, attr.count, stride).byteLength;
+    }
+
     const meshesByIndex = new Map();
     for (const prim of primitives) {
         if (!meshesByIndex.has(prim.meshIndex)) {
@@ -58,12 +620,18 @@ export function writeGLB(optimizedData, options = {}, processedImages = null) {
     }
 
     const meshes = [];
-    for (const [_meshIndex, prims] of meshesByIndex) {
+    for (const [meshIndex, prims] of meshesByIndex) {
         const mesh = {
             name: prims[0].meshName,
             primitives: [],
         };
 
+        // Default morph weights and target names (extras.targetNames) belong to the mesh
+        const origMesh = originalJSON.meshes?.[meshIndex];
+        if (origMesh?.weights) mesh.weights = [...origMesh.weights];
+        if (origMesh?.extras) mesh.extras = JSON.parse(JSON.stringify(origMesh.extras));
+        if (origMesh?.extensions) mesh.extensions = JSON.parse(JSON.stringify(origMesh.extensions));
+
         for (const prim of prims) {
             const primitive = {
                 attributes: {},
@@ -74,6 +642,10 @@ export function writeGLB(optimizedData, options = {}, processedImages = null) {
                 primitive.material = prim.material;
             }
 
+            const origPrimitive = origMesh?.primitives[prim.primitiveIndex];
+            if (origPrimitive?.extensions) primitive.extensions = JSON.parse(JSON.stringify(origPrimitive.extensions));
+            if (origPrimitive?.extras) primitive.extras = JSON.parse(JSON.stringify(origPrimitive.extras));
+
             if (prim.indices) {
                 const indexData = prim.indices.data;
                 const indexCount = indexData.length;
@@ -90,9 +662,14 @@ export function writeGLB(optimizedData, options = {}, processedImages = null) {
                         indices32 = new Uint32Array(indexData);
                     }
 
+                    // The triangle codec only applies to triangle lists; lines and points use the sequence codec
+                    const isTriangles = prim.mode === PRIMITIVE_MODE.TRIANGLES;
+
                     let compressed;
                     try {
-                        compressed = MeshoptEncoder.encodeIndexBuffer(indices32, indexCount, 4);
+                        compressed = isTriangles
+                            ? MeshoptEncoder.encodeIndexBuffer(indices32, indexCount, 4)
+                            : MeshoptEncoder.encodeIndexSequence(indices32, indexCount, 4);
                     } catch (e) {
                         console.warn('Failed to compress indices, falling back to uncompressed:', e);
                         compressed = null;
@@ -116,7 +693,7 @@ export function writeGLB(optimizedData, options = {}, processedImages = null) {
                                     byteLength: compressed.byteLength,
                                     byteStride: 4,
                                     count: indexCount,
-                                    mode: 'TRIANGLES',
+                                    mode: isTriangles ? 'TRIANGLES' : 'INDICES',
                                 },
                             },
                         };
@@ -186,162 +763,149 @@ export function writeGLB(optimizedData, options = {}, processedImages = null) {
             }
 
             for (const [attrName, attr] of Object.entries(prim.attributes)) {
-                const data = attr.data;
-                const componentSize = COMPONENT_SIZE[attr.componentType];
-                const numComponents = TYPE_COMPONENTS[attr.type];
-                const stride = componentSize * numComponents;
-                const count = attr.count;
-
-                let finalData;
-                let bufferView;
-
-                const canCompress =
-                    useMeshoptCompression && MeshoptEncoder.supported && stride % 4 === 0 && stride <= 256 && count > 0;
-
-                if (canCompress) {
-                    const dataBytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
-                    let compressed;
-                    try {
-                        compressed = MeshoptEncoder.encodeVertexBuffer(dataBytes, count, stride);
-                    } catch (e) {
-                        console.warn(`Failed to compress ${attrName} buffer, falling back to uncompressed:`, e);
-                        compressed = null;
-                    }
-
-                    if (compressed) {
-                        const alignedOffset = alignTo(currentOffset, 4);
-                        if (alignedOffset > currentOffset) {
-                            bufferData.push(new Uint8Array(alignedOffset - currentOffset));
-                            currentOffset = alignedOffset;
-                        }
-
-                        bufferView = {
-                            buffer: 0,
-                            byteOffset: currentOffset,
-                            byteLength: compressed.byteLength,
-                            extensions: {
-                                EXT_meshopt_compression: {
-                                    buffer: 0,
-                                    byteOffset: currentOffset,
-                                    byteLength: compressed.byteLength,
-                                    byteStride: stride,
-                                    count: count,
-                                    mode: 'ATTRIBUTES',
-                                },
-                            },
-                        };
-                        finalData = compressed;
-                    } else {
-                        const alignedOffset = alignTo(currentOffset, componentSize);
-                        if (alignedOffset > currentOffset) {
-                            bufferData.push(new Uint8Array(alignedOffset - currentOffset));
-                            currentOffset = alignedOffset;
-                        }
+                primitive.attributes[attrName] = writeVertexAttribute(attrName, attr);
+            }
 
-                        bufferView = {
-                            buffer: 0,
-                            byteOffset: currentOffset,
-                            byteLength: data.byteLength,
-                            target: 34962,
-                        };
-                        finalData = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
-                    }
-                } else {
-                    const alignedOffset = alignTo(currentOffset, componentSize);
-                    if (alignedOffset > currentOffset) {
-                        bufferData.push(new Uint8Array(alignedOffset - currentOffset));
-                        currentOffset = alignedOffset;
+            if (prim.targets) {
+                primitive.targets = prim.targets.map((target) => {
+                    const targetAccessors = {};
+                    for (const [attrName, attr] of Object.entries(target)) {
+                        targetAccessors[attrName] = writeVertexAttribute(attrName, attr);
                     }
+                    return targetAccessors;
+                });
+            }
 
-                    bufferView = {
-                        buffer: 0,
-                        byteOffset: currentOffset,
-                        byteLength: data.byteLength,
-                        target: 34962,
-                    };
-                    finalData = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
-                }
-
-                bufferViews.push(bufferView);
+            mesh.primitives.push(primitive);
+        }
 
-                const accessor = {
-                    bufferView: bufferViews.length - 1,
-                    componentType: attr.componentType,
-                    count: count,
-                    type: attr.type,
-                };
+        dropBufferBoundExtensions(mesh, `/meshes/${meshes.length}`);
+        meshes.push(mesh);
+    }
 
-                if (attr.normalized) {
-                    accessor.normalized = true;
-                }
+    json.meshes = meshes;
+    json.accessors = accessors;
 
-                if (attrName === 'POSITION' && attr.min && attr.max) {
-                    accessor.min = attr.min;
-                    accessor.max = attr.max;
-                }
+    // Float-only output (e.g. compatibilityMode) stays within glTF 2.0 core
+    if (needsMeshQuantization(json)) {
+        json.extensionsUsed.unshift('KHR_mesh_quantization');
+        json.extensionsRequired.unshift('KHR_mesh_quantization');
+    }
 
-                accessors.push(accessor);
-                primitive.attributes[attrName] = accessors.length - 1;
+    for (const [nodeIndex, transforms] of optimizedData.instanceTransforms || []) {
+        const node = json.nodes[nodeIndex];
+        const dequantization = primitives.find((p) => p.meshIndex === node.mesh)?.attributes.POSITION?.transform;
+        const attributes = {};
+        // Instance rotations are stored like animation rotations
+        const quantizeRotation = options.quantizeAnimations !== false;
+        const rotationFilter = quantizeRotation && getMeshoptFilter('QUATERNION', options);
+        for (const [name, attr] of getInstanceAttributes(
+            transforms,
+            dequantization,
+            quantizeRotation,
+            rotationFilter,
+        )) {
+            attributes[name] = writeVertexAttribute(name, attr, null);
+        }
+        node.extensions = { ...node.extensions, EXT_mesh_gpu_instancing: { attributes } };
+    }
 
-                bufferData.push(finalData);
-                currentOffset += finalData.byteLength;
+    const imagesByContent = createContentIndex();
+    let duplicateImages = 0;
+    let duplicateImageBytes = 0;
+
+    /**
+     * Embed encoded image bytes in the buffer and return the new image's index,
+     * or the index of an identical image written before
+     */
+    function writeImage(imageBytes, mimeType, name) {
+        const byteLength = imageBytes.byteLength;
+        const bytes = imageBytes instanceof Uint8Array ? imageBytes : new Uint8Array(imageBytes);
+
+        if (deduplicate) {
+            const existing = imagesByContent.find(bytes);
+            if (existing !== undefined) {
+                duplicateImages++;
+                duplicateImageBytes += byteLength;
+                return existing;
             }
+        }
 
-            mesh.primitives.push(primitive);
+        const alignedOffset = alignTo(currentOffset, 4);
+        if (alignedOffset > currentOffset) {
+            bufferData.push(new Uint8Array(alignedOffset - currentOffset));
+            currentOffset = alignedOffset;
         }
 
-        meshes.push(mesh);
+        const newBufferViewIndex = bufferViews.length;
+        bufferViews.push({
+            buffer: 0,
+            byteOffset: currentOffset,
+            byteLength: byteLength,
+        });
+
+        bufferData.push(bytes.slice());
+        currentOffset += byteLength;
+
+        const newImage = { bufferView: newBufferViewIndex, mimeType };
+        if (name) newImage.name = name;
+        json.images.push(newImage);
+        if (deduplicate) imagesByContent.add(bytes, json.images.length - 1);
+        return json.images.length - 1;
     }
 
-    json.meshes = meshes;
-    json.accessors = accessors;
+    // Transcoded images (e.g. KTX2) become texture extension sources; by original image index
+    const extensionImages = new Map();
+    // Output image index by original image index; duplicates share one output image
+    const imageRemap = [];
 
-    const _imageData = [];
-    if (originalJSON.images && originalBinChunk) {
+    if (originalJSON.images) {
         json.images = [];
         for (let i = 0; i < originalJSON.images.length; i++) {
             const origImage = originalJSON.images[i];
+            const processed = processedImages?.get(i);
+            const transcoded = processed?.extension ? processed : null;
 
-            if (origImage.bufferView !== undefined) {
-                let imageBytes;
-                if (processedImages?.has(i)) {
-                    imageBytes = processedImages.get(i);
-                } else {
-                    const origBufferView = originalJSON.bufferViews[origImage.bufferView];
-                    const byteOffset = origBufferView.byteOffset || 0;
-                    const byteLength = origBufferView.byteLength;
-                    imageBytes = new Uint8Array(originalBinChunk, byteOffset, byteLength);
-                }
-
-                const byteLength = imageBytes.byteLength;
-
-                const alignedOffset = alignTo(currentOffset, 4);
-                if (alignedOffset > currentOffset) {
-                    bufferData.push(new Uint8Array(alignedOffset - currentOffset));
-                    currentOffset = alignedOffset;
-                }
-
-                const newBufferViewIndex = bufferViews.length;
-                bufferViews.push({
-                    buffer: 0,
-                    byteOffset: currentOffset,
-                    byteLength: byteLength,
-                });
+            // Embedded, data: URI or resolved external file; unresolved external images keep their URI
+            const imageBytes = transcoded ? transcoded.fallback : (processed ?? getOriginalImageData(i));
 
-                bufferData.push(imageBytes instanceof Uint8Array ? imageBytes.slice() : new Uint8Array(imageBytes));
-                currentOffset += byteLength;
+            if (transcoded) {
+                extensionImages.set(i, transcoded);
+            }
 
-                const newImage = { bufferView: newBufferViewIndex };
-                if (origImage.mimeType) newImage.mimeType = origImage.mimeType;
-                if (origImage.name) newImage.name = origImage.name;
-                json.images.push(newImage);
+            if (imageBytes) {
+                const mimeType = processed
+                    ? sniffMimeType(imageBytes, getOriginalImageMimeType(i))
+                    : getOriginalImageMimeType(i);
+                imageRemap[i] = writeImage(imageBytes, mimeType, origImage.name);
+            } else if (transcoded) {
+                // No fallback: the slot holds the transcoded image and the extension becomes required
+                imageRemap[i] = writeImage(transcoded.data, transcoded.mimeType, origImage.name);
             } else if (origImage.uri) {
                 json.images.push(JSON.parse(JSON.stringify(origImage)));
+                imageRemap[i] = json.images.length - 1;
+            }
+        }
+
+        // Image sources already in the input (e.g. an existing EXT_texture_webp) follow the renumbering
+        for (const texture of json.textures || []) {
+            for (const extension of Object.values(texture.extensions || {})) {
+                if (typeof extension?.source === 'number') extension.source = imageRemap[extension.source];
             }
         }
+
+        applyImageExtensions(json, extensionImages, (transcoded, i) =>
+            transcoded.fallback
+                ? writeImage(transcoded.data, transcoded.mimeType, originalJSON.images[i].name)
+                : imageRemap[i],
+        );
+
+        for (const texture of json.textures || []) {
+            if (texture.source !== undefined) texture.source = imageRemap[texture.source];
+        }
     }
 
-    if ((originalJSON.animations || originalJSON.skins) && originalBinChunk) {
+    if (originalJSON.animations || originalJSON.skins) {
         const meshAccessorIndices = new Set();
         for (const mesh of originalJSON.meshes || []) {
             for (const prim of mesh.primitives) {
@@ -361,8 +925,10 @@ export function writeGLB(optimizedData, options = {}, processedImages = null) {
 
         const accessorRemapping = new Map();
         if (originalJSON.animations) {
-            for (const anim of originalJSON.animations) {
-                for (const sampler of anim.samplers) {
+            for (const [animIndex, anim] of originalJSON.animations.entries()) {
+                for (const [samplerIndex, sampler] of anim.samplers.entries()) {
+                    // Optimized samplers are written from their new keyframes below
+                    if (animationSamplers?.has(`${animIndex}/${samplerIndex}`)) continue;
                     if (!meshAccessorIndices.has(sampler.input)) {
                         copyAccessor(sampler.input, 'input');
                     }
@@ -385,15 +951,12 @@ export function writeGLB(optimizedData, options = {}, processedImages = null) {
             if (accessorRemapping.has(origAccIdx)) return;
 
             const origAccessor = originalJSON.accessors[origAccIdx];
-            const origBufferView = originalJSON.bufferViews[origAccessor.bufferView];
-
             const componentSize = COMPONENT_SIZE[origAccessor.componentType];
-            const numComponents = TYPE_COMPONENTS[origAccessor.type];
-            const elementSize = componentSize * numComponents;
-            const byteLength = origAccessor.count * elementSize;
 
-            const srcOffset = (origBufferView.byteOffset || 0) + (origAccessor.byteOffset || 0);
-            const srcData = new Uint8Array(originalBinChunk, srcOffset, byteLength);
+            // Read through the parser so compressed or strided source data is resolved
+            const data = getOriginalAccessorData(origAccIdx);
+            const srcData = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+            const byteLength = srcData.byteLength;
 
             const alignedOffset = alignTo(currentOffset, componentSize);
             if (alignedOffset > currentOffset) {
@@ -427,8 +990,23 @@ export function writeGLB(optimizedData, options = {}, processedImages = null) {
         }
 
         if (json.animations) {
-            for (const anim of json.animations) {
-                for (const sampler of anim.samplers) {
+            const inputAccessors = new Map();
+            for (const [animIndex, anim] of json.animations.entries()) {
+                for (const [samplerIndex, sampler] of anim.samplers.entries()) {
+                    const optimized = animationSamplers?.get(`${animIndex}/${samplerIndex}`);
+                    if (optimized) {
+                        // Samplers with the same key times share one input
+                        if (!inputAccessors.has(optimized.input)) {
+                            const { data, min, max } = optimized.input;
+                            const input = { data, componentType: GL.FLOAT, type: 'SCALAR', count: data.length };
+                            const index = writeVertexAttribute('input', input, null);
+                            Object.assign(accessors[index], { min, max });
+                            inputAccessors.set(optimized.input, index);
+                        }
+                        sampler.input = inputAccessors.get(optimized.input);
+                        sampler.output = writeVertexAttribute('output', optimized.output, null);
+                        continue;
+                    }
                     if (accessorRemapping.has(sampler.input)) {
                         sampler.input = accessorRemapping.get(sampler.input);
                     }
@@ -458,14 +1036,37 @@ export function writeGLB(optimizedData, options = {}, processedImages = null) {
         offset += chunk.byteLength;
     }
 
-    json.buffers = [
-        {
-            byteLength: totalBufferSize,
-        },
-    ];
-
     applyQuantizationTransforms(json, primitives, originalJSON);
+    applyTexCoordTransforms(json, primitives);
+    mergeExtensionLists(json, originalJSON);
+
+    let binary = combinedBuffer;
+    if (options.pruneUnused !== false) {
+        const removed = pruneUnused(json, { keepMaterials: options.keepUnusedMaterials });
+        if (removed.bufferViews > 0) binary = compactBinary(json, binary);
+        options.onPrune?.(removed);
+    }
+
+    if (Object.keys(filterStats).length > 0) options.onFilter?.(filterStats);
+
+    if (deduplicate) {
+        const merged = dedupeJSONResources(json, { keepMaterialNames: options.keepUnusedMaterials });
+        options.onDeduplicate?.({
+            images: duplicateImages,
+            samplers: merged.samplers,
+            textures: merged.textures,
+            materials: merged.materials,
+            bytes: duplicateImageBytes + merged.bytes,
+        });
+    }
+
+    return { json, binary };
+}
 
+/**
+ * Pack glTF JSON and its single binary buffer into a GLB container
+ */
+function packGLB(json, binary) {
     const jsonString = JSON.stringify(json);
     const jsonBytes = new TextEncoder().encode(jsonString);
 
@@ -476,9 +1077,9 @@ export function writeGLB(optimizedData, options = {}, processedImages = null) {
         jsonPadded[i] = 0x20;
     }
 
-    const binPaddedLength = alignTo(combinedBuffer.length, 4);
+    const binPaddedLength = alignTo(binary.length, 4);
     const binPadded = new Uint8Array(binPaddedLength);
-    binPadded.set(combinedBuffer);
+    binPadded.set(binary);
 
     const totalLength = 12 + 8 + jsonPaddedLength + 8 + binPaddedLength;
 
@@ -502,6 +1103,232 @@ export function writeGLB(optimizedData, options = {}, processedImages = null) {
     return glb;
 }
 
+/**
+ * Write every level of a LOD chain into one GLB
+ * @param {Object[]} lodChain - Output of generateLODChain, highest detail first
+ * @param {Object} options - Writer options (same as writeGLB)
+ * @param {Map<number, Uint8Array>} processedImages - Optional resized images
+ * @returns {ArrayBuffer} GLB data
+ */
+export function writeLODBundle(lodChain, options = {}, processedImages = null) {
+    return writeGLB(createLODBundle(lodChain), options, processedImages);
+}
+
+/**
+ * Merge every level of a LOD chain into one optimized scene, for writeGLB or writeGLTF
+ *
+ * Each mesh node of the first level gets an MSFT_lod extension pointing at one
+ * node per lower level, plus the MSFT_screencoverage hints in its extras.
+ *
+ * @param {Object[]} lodChain - Output of generateLODChain, highest detail first
+ * @returns {Object} Optimized data in the shape of optimizeGLB's result
+ */
+export function createLODBundle(lodChain) {
+    const base = lodChain[0].optimizedData;
+    const { originalJSON } = base;
+    const meshCount = (originalJSON.meshes || []).length;
+    const nodes = JSON.parse(JSON.stringify(originalJSON.nodes || []));
+    const primitives = [...base.primitives];
+
+    // Lower levels get their own meshes, appended after the original ones
+    for (let level = 1; level < lodChain.length; level++) {
+        for (const prim of lodChain[level].optimizedData.primitives) {
+            primitives.push({
+                ...prim,
+                meshIndex: level * meshCount + prim.meshIndex,
+                meshName: `${prim.meshName}_LOD${level}`,
+            });
+        }
+    }
+
+    const coverage = lodChain.map((lod) => getScreenCoverage(lod.level));
+    const sourceNodeCount = nodes.length;
+    const instanceTransforms = new Map(base.instanceTransforms);
+
+    for (let i = 0; i < sourceNodeCount; i++) {
+        const node = nodes[i];
+        if (node.mesh === undefined) continue;
+
+        const ids = [];
+        for (let level = 1; level < lodChain.length; level++) {
+            ids.push(nodes.length);
+            // Lower levels of an instanced node show the same instances
+            if (instanceTransforms.has(i)) instanceTransforms.set(nodes.length, instanceTransforms.get(i));
+            nodes.push(createLODNode(node, level, level * meshCount + node.mesh));
+        }
+
+        node.extensions = { ...node.extensions, MSFT_lod: { ids } };
+        node.extras = { ...node.extras, MSFT_screencoverage: coverage };
+    }
+
+    return { ...base, primitives, instanceTransforms, originalJSON: { ...originalJSON, nodes } };
+}
+
+/**
+ * Screen coverage below which a LOD level should no longer be used.
+ * Triangle density scales with projected area, so the threshold falls with the square of the ratio.
+ */
+function getScreenCoverage(level) {
+    return Math.round(0.5 * level * level * 10000) / 10000;
+}
+
+/**
+ * Create a LOD replacement node: same transform, skin and weights as the source, but no children
+ */
+function createLODNode(node, level, meshIndex) {
+    const lodNode = {
+        name: `${node.name || 'node'}_LOD${level}`,
+        mesh: meshIndex,
+    };
+
+    for (const key of ['matrix', 'translation', 'rotation', 'scale', 'skin', 'weights']) {
+        if (node[key] !== undefined) {
+            lodNode[key] = JSON.parse(JSON.stringify(node[key]));
+        }
+    }
+
+    return lodNode;
+}
+
+/**
+ * EXT_mesh_gpu_instancing accessors for a set of instances. The position dequantization (scale, then
+ * offset) is applied to the mesh before each instance transform, so it is folded into every instance.
+ * Rotations are stored as normalized 16-bit values when quantizeRotation is set, through the quaternion
+ * filter when rotationFilter is given; identity rotations and unit scales are left out.
+ * @returns {Map<string, Object>} Attribute data in the shape writeVertexAttribute takes, by attribute name
+ */
+function getInstanceAttributes({ translation, rotation, scale }, dequantization, quantizeRotation, rotationFilter) {
+    const count = translation.length / 3;
+    const translations = new Float32Array(translation);
+    const scales = new Float32Array(scale);
+
+    if (dequantization) {
+        for (let i = 0; i < count; i++) {
+            const s = scale.subarray(i * 3, i * 3 + 3);
+            const offset = rotateVectorByQuaternion(
+                [0, 1, 2].map((k) => s[k] * dequantization.translation[k]),
+                rotation.subarray(i * 4, i * 4 + 4),
+            );
+            for (let k = 0; k < 3; k++) {
+                translations[i * 3 + k] += offset[k];
+                scales[i * 3 + k] *= dequantization.scale[k];
+            }
+        }
+    }
+
+    const attributes = new Map([['TRANSLATION', { data: translations, componentType: GL.FLOAT, type: 'VEC3', count }]]);
+
+    const rotated = rotation.some((value, i) => value !== (i % 4 === 3 ? 1 : 0));
+    if (rotated && rotationFilter) {
+        attributes.set('ROTATION', { data: rotation, componentType: GL.FLOAT, type: 'VEC4', count, ...rotationFilter });
+    } else if (rotated) {
+        const rotations = quantizeRotation ? new Int16Array(rotation.length) : new Float32Array(rotation);
+        if (quantizeRotation) {
+            for (let i = 0; i < rotation.length; i++) rotations[i] = Math.round(rotation[i] * 32767);
+        }
+        attributes.set('ROTATION', {
+            data: rotations,
+            componentType: quantizeRotation ? GL.SHORT : GL.FLOAT,
+            normalized: quantizeRotation,
+            type: 'VEC4',
+            count,
+        });
+    }
+
+    if (scales.some((value) => value !== 1)) {
+        attributes.set('SCALE', { data: scales, componentType: GL.FLOAT, type: 'VEC3', count });
+    }
+
+    return attributes;
+}
+
+/**
+ * Copy elements into a buffer with stride bytes per element, zero-padding each one
+ * @returns {Uint8Array}
+ */
+function padElements(data, count, elementSize, stride) {
+    const source = new Uint8Array(data.buffer, data.byteOffset, count * elementSize);
+    const padded = new Uint8Array(count * stride);
+    for (let i = 0; i < count; i++) {
+        padded.set(source.subarray(i * elementSize, (i + 1) * elementSize), i * stride);
+    }
+    return padded;
+}
+
+/**
+ * Run the EXT_meshopt_compression filter an attribute asks for over its float data
+ * @returns {{bytes: Uint8Array, stride: number, componentType: number, normalized: boolean}} Filtered
+ *     vertex bytes for encodeVertexBuffer, and how the decoded data is to be read
+ */
+function encodeFilter(attrName, attr) {
+    const { data, count, filter, filterBits } = attr;
+    const components = TYPE_COMPONENTS[attr.type];
+
+    if (filter === 'OCTAHEDRAL') {
+        // The filter works on 4 components; normals get w = 0, tangents keep their handedness
+        const source = new Float32Array(count * 4);
+        for (let i = 0; i < count; i++) {
+            for (let k = 0; k < components; k++) source[i * 4 + k] = data[i * components + k];
+        }
+        const stride = filterBits > 8 ? 8 : 4;
+        const bytes = MeshoptEncoder.encodeFilterOct(source, count, stride, filterBits);
+        return { bytes, stride, componentType: stride === 8 ? GL.SHORT : GL.BYTE, normalized: true };
+    }
+    if (filter === 'QUATERNION') {
+        const bytes = MeshoptEncoder.encodeFilterQuat(new Float32Array(data), count, 8, filterBits);
+        return { bytes, stride: 8, componentType: GL.SHORT, normalized: true };
+    }
+    if (filter === 'EXPONENTIAL') {
+        // A shared exponent per component keeps positions on a common grid, so shared edges stay closed
+        const mode = attrName === 'POSITION' ? 'SharedComponent' : 'Separate';
+        const stride = components * 4;
+        const bytes = MeshoptEncoder.encodeFilterExp(new Float32Array(data), count, stride, filterBits, mode);
+        return { bytes, stride, componentType: GL.FLOAT, normalized: false };
+    }
+    throw new Error(`Unknown meshopt filter: ${filter}`);
+}
+
+/**
+ * The same attribute without a filter: quantized like the rest of the file for octahedral and
+ * quaternion data, float for exponential data
+ */
+function getUnfilteredAttribute(attr) {
+    const { filter, filterBits: _bits, ...unfiltered } = attr;
+    if (filter === 'OCTAHEDRAL') {
+        const quantized = unfiltered.type === 'VEC4' ? quantizeTangents(attr.data) : quantizeNormals(attr.data);
+        return {
+            ...unfiltered,
+            data: quantized.quantized,
+            componentType: quantized.componentType,
+            type: quantized.type,
+            normalized: quantized.normalized,
+        };
+    }
+    if (filter === 'QUATERNION') {
+        const data = Int16Array.from(attr.data, (value) => Math.round(Math.max(-1, Math.min(1, value)) * 32767));
+        return { ...unfiltered, data, componentType: GL.SHORT, normalized: true };
+    }
+    return unfiltered;
+}
+
+/**
+ * Values the exponential filter's output decodes to: a signed 24-bit mantissa times 2 to the
+ * signed 8-bit exponent above it
+ */
+function decodeExponential(bytes) {
+    const words = new Int32Array(bytes.buffer, bytes.byteOffset, bytes.byteLength / 4);
+    return Float32Array.from(words, (word) => ((word << 8) >> 8) * 2 ** (word >> 24));
+}
+
+function getBounds(data, type, pick) {
+    const components = TYPE_COMPONENTS[type];
+    const bounds = Array.from(data.subarray(0, components));
+    for (let i = components; i < data.length; i++) {
+        bounds[i % components] = pick(bounds[i % components], data[i]);
+    }
+    return bounds;
+}
+
 function applyQuantizationTransforms(json, primitives, originalJSON) {
     for (const prim of primitives) {
         const posAttr = prim.attributes.POSITION;
@@ -512,7 +1339,9 @@ function applyQuantizationTransforms(json, primitives, originalJSON) {
     if (json.nodes && originalJSON.nodes) {
         for (let i = 0; i < json.nodes.length; i++) {
             const node = json.nodes[i];
-            if (node.mesh !== undefined) {
+            // Skinned nodes ignore their own transform; their primitives are never position-quantized.
+            // Instanced nodes have the dequantization folded into every instance instead.
+            if (node.mesh !== undefined && node.skin === undefined && !node.extensions?.EXT_mesh_gpu_instancing) {
                 const meshPrims = primitives.filter((p) => p.meshIndex === node.mesh);
                 if (meshPrims.length > 0 && meshPrims[0].attributes.POSITION?.transform) {
                     const transform = meshPrims[0].attributes.POSITION.transform;
@@ -553,6 +1382,151 @@ function applyQuantizationTransforms(json, primitives, originalJSON) {
     }
 }
 
+/**
+ * Point textures at transcoded image variants through their texture extension
+ * (e.g. KHR_texture_basisu). With a fallback image the texture keeps its source and the
+ * extension stays optional; without one the source is removed and the extension is required.
+ * @param {Object} json - Output glTF JSON
+ * @param {Map<number, Object>} extensionImages - Transcoded images by image index
+ * @param {function(Object, number): number} writeVariant - Stores a variant, returning its image index
+ */
+function applyImageExtensions(json, extensionImages, writeVariant) {
+    const variantIndices = new Map();
+    for (const [imageIndex, transcoded] of extensionImages) {
+        variantIndices.set(imageIndex, writeVariant(transcoded, imageIndex));
+    }
+
+    for (const texture of json.textures || []) {
+        const transcoded = extensionImages.get(texture.source);
+        if (!transcoded) continue;
+
+        texture.extensions = {
+            ...texture.extensions,
+            [transcoded.extension]: { source: variantIndices.get(texture.source) },
+        };
+
+        json.extensionsUsed.push(transcoded.extension);
+        if (!transcoded.fallback) {
+            json.extensionsRequired.push(transcoded.extension);
+            delete texture.source;
+        }
+    }
+
+    json.extensionsUsed = [...new Set(json.extensionsUsed)];
+    json.extensionsRequired = [...new Set(json.extensionsRequired)];
+}
+
+/**
+ * Undo UV range normalization through KHR_texture_transform on the material slots reading each set.
+ * The optimizer only leaves a transform on UVs when all primitives sharing the material agree on it.
+ */
+function applyTexCoordTransforms(json, primitives) {
+    const applied = new Set();
+
+    for (const prim of primitives) {
+        const material = prim.material !== undefined ? json.materials?.[prim.material] : null;
+        if (!material) continue;
+
+        for (const [name, attr] of Object.entries(prim.attributes)) {
+            if (!name.startsWith('TEXCOORD_') || !attr.transform) continue;
+
+            const key = `${prim.material}:${name}`;
+            if (applied.has(key)) continue;
+            applied.add(key);
+
+            const texCoord = Number(name.slice('TEXCOORD_'.length));
+            const { offset, scale } = attr.transform;
+
+            forEachTextureSlot(material, (slot) => {
+                if (getTextureSlotTexCoord(slot) !== texCoord) return;
+
+                // Dequantization runs first: uv' = existingOffset + existingScale * (uv * scale + offset)
+                const existing = slot.extensions?.KHR_texture_transform || {};
+                const existingOffset = existing.offset || [0, 0];
+                const existingScale = existing.scale || [1, 1];
+
+                slot.extensions = slot.extensions || {};
+                slot.extensions.KHR_texture_transform = {
+                    ...existing,
+                    offset: [
+                        existingOffset[0] + existingScale[0] * offset[0],
+                        existingOffset[1] + existingScale[1] * offset[1],
+                    ],
+                    scale: [existingScale[0] * scale[0], existingScale[1] * scale[1]],
+                };
+            });
+        }
+    }
+
+    if (applied.size > 0) {
+        // Without the transform the quantized UVs map to the wrong texels
+        for (const list of [json.extensionsUsed, json.extensionsRequired]) {
+            if (!list.includes('KHR_texture_transform')) list.push('KHR_texture_transform');
+        }
+    }
+}
+
+/**
+ * Remove the known extensions that point into the source buffers, accessors or buffer views
+ * (BUFFER_BOUND_EXTENSIONS). Those are renumbered on write, so such references would dangle;
+ * warn and drop them instead. Every other extension is carried through unchanged.
+ */
+function dropBufferBoundExtensions(value, path) {
+    if (!value || typeof value !== 'object') return;
+
+    if (Array.isArray(value)) {
+        value.forEach((item, i) => dropBufferBoundExtensions(item, `${path}/${i}`));
+        return;
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+        if (key === 'extensions' && child && typeof child === 'object') {
+            for (const name of Object.keys(child)) {
+                if (BUFFER_BOUND_EXTENSIONS.has(name)) {
+                    console.warn(
+                        `Dropping ${name} at ${path || '/'}: it references buffer data that cannot be relocated`,
+                    );
+                    delete child[name];
+                }
+            }
+            if (Object.keys(child).length === 0) delete value.extensions;
+        }
+
+        if (key !== 'extras') dropBufferBoundExtensions(child, `${path}/${key}`);
+    }
+}
+
+/**
+ * Declare every extension the output uses: the writer's own, plus those carried over from the source.
+ * Source extensions stay required only if the source required them and they survived the pass-through.
+ */
+function mergeExtensionLists(json, originalJSON) {
+    const used = new Set(json.extensionsUsed);
+    collectExtensionNames(json, used);
+
+    const required = new Set(json.extensionsRequired);
+    for (const name of originalJSON.extensionsRequired || []) {
+        if (used.has(name)) required.add(name);
+    }
+
+    // glTF does not allow empty lists
+    json.extensionsUsed = [...used];
+    json.extensionsRequired = [...required];
+    if (used.size === 0) delete json.extensionsUsed;
+    if (required.size === 0) delete json.extensionsRequired;
+}
+
+function collectExtensionNames(value, names) {
+    if (!value || typeof value !== 'object') return;
+
+    for (const [key, child] of Object.entries(value)) {
+        if (key === 'extensions' && child && typeof child === 'object' && !Array.isArray(child)) {
+            for (const name of Object.keys(child)) names.add(name);
+        }
+        if (key !== 'extras') collectExtensionNames(child, names);
+    }
+}
+
 function rotateVectorByQuaternion(v, q) {
     const qx = q[0],
         qy = q[1],
@@ -578,7 +1552,27 @@ export function createDownloadBlob(glbData) {
 }
 
 export function downloadGLB(glbData, filename = 'optimized.glb') {
-    const blob = createDownloadBlob(glbData);
+    downloadBlob(createDownloadBlob(glbData), filename);
+}
+
+/**
+ * Download a GLB as a zip of <baseName>.gltf, its .bin buffers and one file per image
+ * @param {ArrayBuffer} glbData - GLB data, e.g. from writeGLB
+ * @param {string} baseName - Name stem for the archive and the files inside it
+ * @param {boolean} [meshoptFallback] - Ship decoded EXT_meshopt_compression data, see layoutGLTFFiles
+ */
+export function downloadGLTFZip(glbData, baseName = 'optimized', meshoptFallback = false) {
+    const { json, files } = unpackGLB(glbData, { baseName, externalImages: true, meshoptFallback });
+
+    const zipFiles = new Map([[`${baseName}.gltf`, new TextEncoder().encode(JSON.stringify(json, null, 2))]]);
+    for (const [fileName, data] of files) {
+        zipFiles.set(fileName, data);
+    }
+
+    downloadBlob(new Blob([createZip(zipFiles)], { type: 'application/zip' }), `${baseName}.zip`);
+}
+
+function downloadBlob(blob, filename) {
     const url = URL.createObjectURL(blob);
 
     const a = document.createElement('a');
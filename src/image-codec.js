@@ -0,0 +1,364 @@
+/**
+ * Image Codec - Environment-independent image decoding, encoding and resizing
+ *
+ * Uses createImageBitmap + OffscreenCanvas where available (browsers and workers)
+ * and falls back to pure-JS decoders (fast-png, jpeg-js) in Node.js.
+ * KTX2 output goes through the Basis Universal WASM encoder (ktx2-encoder) in both,
+ * and WebP/AVIF through the Squoosh WASM codecs (@jsquash), since canvas support for them varies.
+ */
+
+// Squoosh codec modules and the .wasm each instantiates; see loadSquooshCodec
+const SQUOOSH_CODECS = {
+    'image/webp': {
+        encode: () => import('@jsquash/webp/encode.js'),
+        encodeWasm: '@jsquash/webp/codec/enc/webp_enc_simd.wasm',
+        decode: () => import('@jsquash/webp/decode.js'),
+        decodeWasm: '@jsquash/webp/codec/dec/webp_dec.wasm',
+    },
+    'image/avif': {
+        encode: () => import('@jsquash/avif/encode.js'),
+        encodeWasm: '@jsquash/avif/codec/enc/avif_enc.wasm',
+        decode: () => import('@jsquash/avif/decode.js'),
+        decodeWasm: '@jsquash/avif/codec/dec/avif_dec.wasm',
+    },
+};
+
+const squooshCodecs = new Map();
+
+/**
+ * Whether the platform image pipeline (createImageBitmap + OffscreenCanvas) is available
+ */
+export function hasCanvasSupport() {
+    return typeof createImageBitmap === 'function' && typeof OffscreenCanvas !== 'undefined';
+}
+
+/**
+ * Detect the MIME type of encoded image bytes from their signature
+ * @param {Uint8Array} bytes - Encoded image bytes
+ * @param {string} fallback - MIME type to return if the signature is unknown
+ * @returns {string} Detected MIME type
+ */
+export function sniffMimeType(bytes, fallback = 'image/png') {
+    if (bytes.length >= 8 && bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) {
+        return 'image/png';
+    }
+    if (bytes.length >= 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) {
+        return 'image/jpeg';
+    }
+    if (bytes.length >= 12 && bytes[0] === 0xab && bytes[1] === 0x4b && bytes[2] === 0x54 && bytes[3] === 0x58) {
+        return 'image/ktx2';
+    }
+    if (bytes.length >= 12 && readFourCC(bytes, 0) === 'RIFF' && readFourCC(bytes, 8) === 'WEBP') {
+        return 'image/webp';
+    }
+    if (bytes.length >= 12 && readFourCC(bytes, 4) === 'ftyp' && /^avi[fs]$/.test(readFourCC(bytes, 8))) {
+        return 'image/avif';
+    }
+    return fallback;
+}
+
+/**
+ * Read image dimensions from the PNG or JPEG header without decoding pixels
+ * @param {Uint8Array} bytes - Encoded image bytes
+ * @returns {{width: number, height: number}|null} Dimensions, or null if the header is not recognized
+ */
+export function readImageSize(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const mimeType = sniffMimeType(bytes, null);
+
+    if (mimeType === 'image/png' && bytes.length >= 24) {
+        // IHDR is always the first chunk: width and height are big-endian
+        return { width: view.getUint32(16), height: view.getUint32(20) };
+    }
+
+    if (mimeType === 'image/jpeg') {
+        let offset = 2;
+        while (offset + 9 < bytes.length) {
+            if (bytes[offset] !== 0xff) {
+                offset++;
+                continue;
+            }
+            const marker = bytes[offset + 1];
+            // SOF0..SOF15, excluding DHT (C4), JPG (C8) and DAC (CC)
+            if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+                return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+            }
+            offset += 2 + view.getUint16(offset + 2);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Decode an image to RGBA pixels
+ * @param {Uint8Array} bytes - Encoded image bytes
+ * @param {string} mimeType - Image MIME type
+ * @returns {Promise<{data: Uint8ClampedArray, width: number, height: number}>}
+ */
+export async function decodeImage(bytes, mimeType) {
+    if (hasCanvasSupport()) {
+        const bitmap = await createImageBitmap(new Blob([bytes], { type: mimeType }));
+        const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        return { data: imageData.data, width: canvas.width, height: canvas.height };
+    }
+
+    const type = sniffMimeType(bytes, mimeType);
+
+    if (type === 'image/jpeg') {
+        const { default: jpeg } = await import('jpeg-js');
+        const decoded = jpeg.decode(bytes, { useTArray: true, formatAsRGBA: true });
+        return {
+            data: new Uint8ClampedArray(decoded.data.buffer, decoded.data.byteOffset, decoded.data.byteLength),
+            width: decoded.width,
+            height: decoded.height,
+        };
+    }
+
+    if (type === 'image/png') {
+        const { decode, convertIndexedToRgb } = await import('fast-png');
+        const png = decode(bytes);
+        const data = png.palette ? convertIndexedToRgb(png) : png.data;
+        const channels = png.palette ? data.length / (png.width * png.height) : png.channels;
+        const shift = png.depth === 16 && !png.palette ? 8 : 0;
+        return {
+            data: expandToRGBA(data, channels, shift, png.width * png.height),
+            width: png.width,
+            height: png.height,
+        };
+    }
+
+    if (SQUOOSH_CODECS[type]) {
+        const decode = await loadSquooshCodec(type, 'decode');
+        const decoded = await decode(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+        return { data: decoded.data, width: decoded.width, height: decoded.height };
+    }
+
+    throw new Error(`Unsupported image type: ${type}`);
+}
+
+/**
+ * Encode RGBA pixels to PNG, JPEG, WebP or AVIF
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} pixels - RGBA pixels
+ * @param {string} mimeType - Output MIME type
+ * @param {number} [quality] - Quality for lossy formats (0-1)
+ * @param {Object} [options]
+ * @param {boolean} [options.lossless] - Lossless WebP/AVIF (quality is then ignored)
+ * @returns {Promise<Uint8Array>} Encoded image bytes
+ */
+export async function encodeImage(pixels, mimeType, quality, { lossless = false } = {}) {
+    if (SQUOOSH_CODECS[mimeType]) {
+        const encode = await loadSquooshCodec(mimeType, 'encode');
+        const options = lossless
+            ? { lossless: mimeType === 'image/avif' ? true : 1 }
+            : { quality: Math.round((quality ?? 0.8) * 100) };
+        const data = new Uint8ClampedArray(pixels.data.buffer, pixels.data.byteOffset, pixels.data.byteLength);
+        const encoded = await encode({ data, width: pixels.width, height: pixels.height, colorSpace: 'srgb' }, options);
+        return new Uint8Array(encoded);
+    }
+
+    if (hasCanvasSupport()) {
+        const canvas = new OffscreenCanvas(pixels.width, pixels.height);
+        canvas.getContext('2d').putImageData(new ImageData(pixels.data, pixels.width, pixels.height), 0, 0);
+        return canvasToBytes(canvas, mimeType, quality);
+    }
+
+    if (mimeType === 'image/jpeg') {
+        const { default: jpeg } = await import('jpeg-js');
+        const encoded = jpeg.encode(pixels, Math.round((quality ?? 0.9) * 100));
+        return new Uint8Array(encoded.data.buffer, encoded.data.byteOffset, encoded.data.byteLength);
+    }
+
+    if (mimeType === 'image/png') {
+        const { encode } = await import('fast-png');
+        return encode({ width: pixels.width, height: pixels.height, data: pixels.data, channels: 4, depth: 8 });
+    }
+
+    throw new Error(`Unsupported output image type: ${mimeType}`);
+}
+
+/**
+ * Encode an image to KTX2 with Basis Universal supercompression, including mipmaps
+ *
+ * KHR_texture_basisu requires dimensions that are multiples of 4, so other sizes are resampled up.
+ *
+ * @param {Uint8Array} bytes - Encoded source image bytes
+ * @param {string} mimeType - Source MIME type
+ * @param {Object} [options]
+ * @param {boolean} [options.uastc] - UASTC (high quality, for normal maps) instead of ETC1S
+ * @param {boolean} [options.srgb] - Color data in sRGB space (false for normal and ORM maps)
+ * @returns {Promise<Uint8Array>} KTX2 file bytes
+ */
+export async function encodeKTX2(bytes, mimeType, { uastc = false, srgb = true } = {}) {
+    const { encodeToKTX2 } = await import('ktx2-encoder');
+
+    const imageDecoder = async () => {
+        const decoded = await decodeImage(bytes, mimeType);
+        const width = Math.ceil(decoded.width / 4) * 4;
+        const height = Math.ceil(decoded.height / 4) * 4;
+        const pixels =
+            width === decoded.width && height === decoded.height ? decoded : resamplePixels(decoded, width, height);
+        return {
+            data: new Uint8Array(pixels.data.buffer, pixels.data.byteOffset, pixels.data.byteLength),
+            width,
+            height,
+        };
+    };
+
+    return encodeToKTX2(bytes, {
+        imageDecoder,
+        isKTX2File: true,
+        generateMipmap: true,
+        isUASTC: uastc,
+        isNormalMap: uastc && !srgb,
+        needSupercompression: uastc,
+        qualityLevel: 128,
+        compressionLevel: 2,
+        isPerceptual: srgb,
+        isSetKTX2SRGBTransferFunc: srgb,
+    });
+}
+
+/**
+ * Resize an encoded image and re-encode it
+ * @param {Uint8Array} bytes - Encoded image bytes
+ * @param {string} mimeType - Input MIME type
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @param {string} outputType - Output MIME type
+ * @param {number} [quality] - Quality for lossy formats (0-1)
+ * @returns {Promise<Uint8Array>} Encoded image bytes
+ */
+export async function resizeEncodedImage(bytes, mimeType, width, height, outputType, quality) {
+    return encodeImage(await resizeImagePixels(bytes, mimeType, width, height), outputType, quality);
+}
+
+/**
+ * Decode an image and resample it to the given size, returning RGBA pixels
+ */
+async function resizeImagePixels(bytes, mimeType, width, height) {
+    if (hasCanvasSupport()) {
+        const bitmap = await createImageBitmap(new Blob([bytes], { type: mimeType }));
+        const canvas = new OffscreenCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(bitmap, 0, 0, width, height);
+        bitmap.close();
+        return ctx.getImageData(0, 0, width, height);
+    }
+
+    const decoded = await decodeImage(bytes, mimeType);
+    if (decoded.width === width && decoded.height === height) return decoded;
+    return resamplePixels(decoded, width, height);
+}
+
+/**
+ * Resample RGBA pixels using area averaging (downscale) or bilinear filtering (upscale)
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} src - Source pixels
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} Resampled pixels
+ */
+export function resamplePixels(src, width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    const scaleX = src.width / width;
+    const scaleY = src.height / height;
+
+    for (let y = 0; y < height; y++) {
+        const y0 = y * scaleY;
+        const y1 = Math.max(y0 + scaleY, y0 + 1);
+
+        for (let x = 0; x < width; x++) {
+            const x0 = x * scaleX;
+            const x1 = Math.max(x0 + scaleX, x0 + 1);
+            const sum = [0, 0, 0, 0];
+            let weightSum = 0;
+
+            // Weighted average of every source pixel the destination pixel covers
+            for (let sy = Math.floor(y0); sy < Math.min(Math.ceil(y1), src.height); sy++) {
+                const wy = Math.min(sy + 1, y1) - Math.max(sy, y0);
+                for (let sx = Math.floor(x0); sx < Math.min(Math.ceil(x1), src.width); sx++) {
+                    const w = wy * (Math.min(sx + 1, x1) - Math.max(sx, x0));
+                    const idx = (sy * src.width + sx) * 4;
+                    sum[0] += src.data[idx] * w;
+                    sum[1] += src.data[idx + 1] * w;
+                    sum[2] += src.data[idx + 2] * w;
+                    sum[3] += src.data[idx + 3] * w;
+                    weightSum += w;
+                }
+            }
+
+            const dst = (y * width + x) * 4;
+            for (let c = 0; c < 4; c++) {
+                data[dst + c] = Math.round(sum[c] / weightSum);
+            }
+        }
+    }
+
+    return { data, width, height };
+}
+
+/**
+ * Load a Squoosh encode or decode function. The codecs fetch their .wasm relative to the module,
+ * which only works in browsers; in Node.js the .wasm is compiled from the installed package.
+ */
+function loadSquooshCodec(mimeType, kind) {
+    const key = `${mimeType}:${kind}`;
+    if (!squooshCodecs.has(key)) {
+        const codec = SQUOOSH_CODECS[mimeType];
+        squooshCodecs.set(
+            key,
+            codec[kind]().then(async (module) => {
+                if (typeof process !== 'undefined' && process.versions?.node) {
+                    const fs = 'node:fs/promises';
+                    const { readFile } = await import(/* @vite-ignore */ fs);
+                    const wasm = await readFile(new URL(import.meta.resolve(codec[`${kind}Wasm`])));
+                    await module.init(await WebAssembly.compile(wasm));
+                }
+                return module.default;
+            }),
+        );
+    }
+    return squooshCodecs.get(key);
+}
+
+function readFourCC(bytes, offset) {
+    return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+async function canvasToBytes(canvas, mimeType, quality) {
+    const blob = await canvas.convertToBlob({ type: mimeType, quality });
+    if (blob.type !== mimeType) {
+        throw new Error(`Browser cannot encode ${mimeType}`);
+    }
+    return new Uint8Array(await blob.arrayBuffer());
+}
+
+function expandToRGBA(data, channels, shift, pixelCount) {
+    if (channels === 4 && shift === 0) {
+        return new Uint8ClampedArray(data.buffer, data.byteOffset, data.byteLength);
+    }
+
+    const rgba = new Uint8ClampedArray(pixelCount * 4);
+    for (let i = 0; i < pixelCount; i++) {
+        const src = i * channels;
+        const dst = i * 4;
+        if (channels < 3) {
+            const gray = data[src] >> shift;
+            rgba[dst] = rgba[dst + 1] = rgba[dst + 2] = gray;
+            rgba[dst + 3] = channels === 2 ? data[src + 1] >> shift : 255;
+        } else {
+            rgba[dst] = data[src] >> shift;
+            rgba[dst + 1] = data[src + 1] >> shift;
+            rgba[dst + 2] = data[src + 2] >> shift;
+            rgba[dst + 3] = channels === 4 ? data[src + 3] >> shift : 255;
+        }
+    }
+    return rgba;
+}
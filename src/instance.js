@@ -0,0 +1,177 @@
+/**
+ * Instance - Turns repeated meshes into EXT_mesh_gpu_instancing nodes
+ *
+ * Meshes with identical geometry and materials are merged first, so that copies exported as
+ * separate meshes count as repeats too. Sibling nodes that then show the same mesh are replaced
+ * by one node whose instances carry their translation, rotation and scale; renderers that
+ * support the extension draw them in a single call. Skinned, morphed, mirrored and animated nodes,
+ * skin joints, nodes with a matrix and nodes with extensions are left as they are.
+ */
+
+import { createContentIndex } from './dedupe.js';
+
+/**
+ * Merge duplicate meshes and group sibling nodes that show the same mesh into instanced nodes
+ * @param {Object} parsedGLB - Output from parseGLB
+ * @returns {Object} The model with its json and getAllPrimitives replaced, plus instanceTransforms:
+ *     a Map from node index to {translation, rotation, scale} Float32Arrays, one entry per instance
+ */
+export function instanceMeshes(parsedGLB) {
+    const json = JSON.parse(JSON.stringify(parsedGLB.json));
+    const primitives = parsedGLB.getAllPrimitives();
+    const nodes = json.nodes || [];
+    const meshes = json.meshes || [];
+
+    // Point every node at the first of each set of identical meshes
+    const canonicalMesh = findDuplicateMeshes(meshes, primitives);
+    for (const node of nodes) {
+        if (node.mesh !== undefined) node.mesh = canonicalMesh[node.mesh];
+    }
+
+    const animatedNodes = new Set(
+        (json.animations || []).flatMap((animation) => animation.channels.map((channel) => channel.target.node)),
+    );
+    const jointNodes = new Set((json.skins || []).flatMap((skin) => skin.joints));
+
+    // Where each node hangs: the children list of its parent, or its scene's root list
+    const placements = new Map();
+    const visit = (nodeIndex, list, key) => {
+        if (!placements.has(nodeIndex)) placements.set(nodeIndex, []);
+        placements.get(nodeIndex).push({ list, key });
+        const node = nodes[nodeIndex];
+        for (const child of node.children || []) visit(child, node.children, `node:${nodeIndex}`);
+    };
+    (json.scenes || []).forEach((scene, sceneIndex) => {
+        for (const root of scene.nodes || []) visit(root, scene.nodes, `scene:${sceneIndex}`);
+    });
+
+    const groups = new Map();
+    for (const [nodeIndex, places] of placements) {
+        const node = nodes[nodeIndex];
+        if (places.length > 1 || animatedNodes.has(nodeIndex) || jointNodes.has(nodeIndex)) continue;
+        if (!isInstanceableNode(node, meshes[node.mesh])) continue;
+
+        const key = `${places[0].key}|${node.mesh}`;
+        if (!groups.has(key)) groups.set(key, { list: places[0].list, nodeIndices: [] });
+        groups.get(key).nodeIndices.push(nodeIndex);
+    }
+
+    const instanceTransforms = new Map();
+    const detached = new Set();
+    for (const { list, nodeIndices } of groups.values()) {
+        if (nodeIndices.length < 2) continue;
+
+        const meshIndex = nodes[nodeIndices[0]].mesh;
+        const count = nodeIndices.length;
+        const transforms = {
+            translation: new Float32Array(count * 3),
+            rotation: new Float32Array(count * 4),
+            scale: new Float32Array(count * 3),
+        };
+        nodeIndices.forEach((nodeIndex, i) => {
+            const node = nodes[nodeIndex];
+            transforms.translation.set(node.translation || [0, 0, 0], i * 3);
+            transforms.rotation.set(node.rotation || [0, 0, 0, 1], i * 4);
+            transforms.scale.set(node.scale || [1, 1, 1], i * 3);
+
+            // Nodes with nothing else to carry leave the hierarchy; the rest only lose their mesh
+            delete node.mesh;
+            if (!node.children?.length && node.camera === undefined) detached.add(nodeIndex);
+        });
+
+        instanceTransforms.set(nodes.length, transforms);
+        list.push(nodes.length);
+        nodes.push({ name: `${meshes[meshIndex].name || `mesh_${meshIndex}`}_instances`, mesh: meshIndex });
+    }
+
+    for (const [nodeIndex, places] of placements) {
+        if (!detached.has(nodeIndex)) continue;
+        const { list } = places[0];
+        list.splice(list.indexOf(nodeIndex), 1);
+    }
+
+    // Drop the meshes that no node shows any more, and renumber the rest
+    const usedMeshes = new Set(nodes.filter((node) => node.mesh !== undefined).map((node) => node.mesh));
+    const meshRemap = new Map();
+    const keptMeshes = [];
+    meshes.forEach((mesh, i) => {
+        if (canonicalMesh[i] !== i && !usedMeshes.has(i)) return;
+        meshRemap.set(i, keptMeshes.length);
+        keptMeshes.push(mesh);
+    });
+    if (instanceTransforms.size === 0 && keptMeshes.length === meshes.length) return parsedGLB;
+
+    for (const node of nodes) {
+        if (node.mesh !== undefined) node.mesh = meshRemap.get(node.mesh);
+    }
+    if (json.meshes) json.meshes = keptMeshes;
+
+    const keptPrimitives = primitives
+        .filter((prim) => meshRemap.has(prim.meshIndex))
+        .map((prim) => ({ ...prim, meshIndex: meshRemap.get(prim.meshIndex) }));
+
+    return { ...parsedGLB, json, getAllPrimitives: () => keptPrimitives, instanceTransforms };
+}
+
+function isInstanceableNode(node, mesh) {
+    // Renderers do not flip the winding per instance, so mirrored nodes stay separate
+    const [sx, sy, sz] = node.scale || [1, 1, 1];
+    return (
+        sx * sy * sz > 0 &&
+        mesh !== undefined &&
+        node.skin === undefined &&
+        node.weights === undefined &&
+        node.matrix === undefined &&
+        !node.extensions &&
+        mesh.primitives.every((prim) => !prim.targets)
+    );
+}
+
+/**
+ * Find meshes with the same primitives: same vertex data, indices, material, mode and extensions
+ * @returns {number[]} Index of the first equal mesh, by mesh index
+ */
+function findDuplicateMeshes(meshes, primitives) {
+    const index = createContentIndex();
+    const encoder = new TextEncoder();
+
+    return meshes.map((mesh, meshIndex) => {
+        if (mesh.primitives.some((prim) => prim.targets)) return meshIndex;
+
+        const parts = [encoder.encode(JSON.stringify(mesh.extensions ?? null))];
+        for (const prim of primitives.filter((p) => p.meshIndex === meshIndex)) {
+            const source = mesh.primitives[prim.primitiveIndex];
+            const names = Object.keys(prim.attributes).sort();
+            const layout = names.map((name) => {
+                const { type, componentType, normalized } = prim.attributes[name].accessor;
+                return [name, type, componentType, !!normalized];
+            });
+            parts.push(encoder.encode(JSON.stringify([prim.material, prim.mode, source.extensions, layout])));
+            for (const name of names) parts.push(toBytes(prim.attributes[name].data));
+            if (prim.indices) parts.push(toBytes(new Uint32Array(prim.indices)));
+        }
+
+        const bytes = concatBytes(parts);
+        const existing = index.find(bytes);
+        if (existing !== undefined) return existing;
+        index.add(bytes, meshIndex);
+        return meshIndex;
+    });
+}
+
+function toBytes(data) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+}
+
+function concatBytes(parts) {
+    // A length prefix per part keeps different splits of the same bytes apart
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + 4 + part.byteLength, 0));
+    const view = new DataView(result.buffer);
+    let offset = 0;
+    for (const part of parts) {
+        view.setUint32(offset, part.byteLength, true);
+        result.set(part, offset + 4);
+        offset += 4 + part.byteLength;
+    }
+    return result;
+}
@@ -0,0 +1,351 @@
+/**
+ * Join - Merges mesh instances that share a material, to cut draw calls
+ *
+ * Static mesh instances are baked into world space (positions, normals and tangents) and
+ * concatenated per scene, material, primitive mode and attribute layout. Each joined group
+ * becomes one mesh on a new root node, and the original nodes keep their place in the
+ * hierarchy without a mesh. Instanced nodes (see instance.js), skinned nodes, animated nodes and
+ * their descendants, morph targets, nodes or primitives with extensions (e.g. MSFT_lod, variants)
+ * and strips or fans are left as they are.
+ */
+
+import { GL, PRIMITIVE_MODE, TYPE_COMPONENTS } from './glb-parser.js';
+
+// List modes, which stay valid when concatenated
+const JOINABLE_MODES = new Set([PRIMITIVE_MODE.POINTS, PRIMITIVE_MODE.LINES, PRIMITIVE_MODE.TRIANGLES]);
+
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+/**
+ * Join static mesh instances that share a material
+ * @param {Object} parsedGLB - Output from parseGLB
+ * @returns {Object} The model with its json and getAllPrimitives replaced by the joined result
+ */
+export function joinMeshes(parsedGLB) {
+    const json = JSON.parse(JSON.stringify(parsedGLB.json));
+    const primitives = parsedGLB.getAllPrimitives();
+    const nodes = json.nodes || [];
+    const meshes = json.meshes || [];
+
+    const animatedNodes = new Set(
+        (json.animations || []).flatMap((animation) => animation.channels.map((channel) => channel.target.node)),
+    );
+
+    // Collect static mesh instances with their world matrix; nodes reached more than once are skipped
+    const instances = new Map();
+    const visits = new Map();
+    const visit = (nodeIndex, sceneIndex, parentMatrix, parentAnimated) => {
+        const node = nodes[nodeIndex];
+        const matrix = multiplyMatrices(parentMatrix, getLocalMatrix(node));
+        const animated = parentAnimated || animatedNodes.has(nodeIndex);
+        visits.set(nodeIndex, (visits.get(nodeIndex) || 0) + 1);
+
+        const instanced = parsedGLB.instanceTransforms?.has(nodeIndex);
+        if (
+            node.mesh !== undefined &&
+            !animated &&
+            !instanced &&
+            isJoinableNode(node, meshes[node.mesh], json.accessors)
+        ) {
+            instances.set(nodeIndex, { sceneIndex, matrix });
+        }
+        for (const child of node.children || []) visit(child, sceneIndex, matrix, animated);
+    };
+    (json.scenes || []).forEach((scene, sceneIndex) => {
+        for (const root of scene.nodes || []) visit(root, sceneIndex, IDENTITY, false);
+    });
+
+    // Group every primitive of the candidate instances by what a single draw call can share
+    const groups = new Map();
+    for (const [nodeIndex, { sceneIndex, matrix }] of instances) {
+        if (visits.get(nodeIndex) > 1) continue;
+
+        for (const prim of primitives.filter((p) => p.meshIndex === nodes[nodeIndex].mesh)) {
+            const key = `${sceneIndex}|${prim.material ?? ''}|${prim.mode}|${getAttributeLayout(prim)}`;
+            if (!groups.has(key)) groups.set(key, { sceneIndex, entries: [] });
+            groups.get(key).entries.push({ nodeIndex, prim, matrix });
+        }
+    }
+
+    // A node is consumed once any of its primitives joins others; its remaining primitives move too
+    const consumedNodes = new Set();
+    for (const group of groups.values()) {
+        if (group.entries.length > 1) {
+            for (const entry of group.entries) consumedNodes.add(entry.nodeIndex);
+        }
+    }
+    if (consumedNodes.size === 0) return parsedGLB;
+
+    const replacedMeshes = new Set();
+    for (const nodeIndex of consumedNodes) {
+        replacedMeshes.add(nodes[nodeIndex].mesh);
+        delete nodes[nodeIndex].mesh;
+    }
+
+    // Keep meshes that some node still instantiates, or that no joined node used
+    const stillUsed = new Set(nodes.filter((node) => node.mesh !== undefined).map((node) => node.mesh));
+    const meshRemap = new Map();
+    const keptMeshes = [];
+    meshes.forEach((mesh, i) => {
+        if (replacedMeshes.has(i) && !stillUsed.has(i)) return;
+        meshRemap.set(i, keptMeshes.length);
+        keptMeshes.push(mesh);
+    });
+    for (const node of nodes) {
+        if (node.mesh !== undefined) node.mesh = meshRemap.get(node.mesh);
+    }
+
+    const joinedPrimitives = primitives
+        .filter((prim) => meshRemap.has(prim.meshIndex))
+        .map((prim) => ({ ...prim, meshIndex: meshRemap.get(prim.meshIndex) }));
+
+    for (const group of groups.values()) {
+        if (!group.entries.some((entry) => consumedNodes.has(entry.nodeIndex))) continue;
+
+        const meshIndex = keptMeshes.length;
+        const material = group.entries[0].prim.material;
+        const name = `joined_${json.materials?.[material]?.name || (material ?? meshIndex)}`;
+        const joined = joinPrimitives(group.entries, meshIndex, name);
+
+        const primitive = { attributes: {}, mode: joined.mode };
+        if (material !== undefined) primitive.material = material;
+        keptMeshes.push({ name, primitives: [primitive] });
+        joinedPrimitives.push(joined);
+
+        nodes.push({ name, mesh: meshIndex });
+        json.scenes[group.sceneIndex].nodes.push(nodes.length - 1);
+    }
+
+    json.nodes = nodes;
+    json.meshes = keptMeshes;
+
+    return { ...parsedGLB, json, getAllPrimitives: () => joinedPrimitives };
+}
+
+/**
+ * Count draw calls: one per primitive of every mesh instance in the scenes
+ * (or of every node, for a file without scenes)
+ * @param {Object} json - glTF JSON
+ * @returns {number} Draw calls
+ */
+export function countDrawCalls(json) {
+    const nodes = json.nodes || [];
+    const own = (nodeIndex) => {
+        const node = nodes[nodeIndex];
+        return node.mesh !== undefined ? json.meshes[node.mesh].primitives.length : 0;
+    };
+    const subtree = (nodeIndex) =>
+        own(nodeIndex) + (nodes[nodeIndex].children || []).reduce((sum, child) => sum + subtree(child), 0);
+
+    if (!json.scenes?.length) return nodes.reduce((sum, _, i) => sum + own(i), 0);
+    return json.scenes.reduce((sum, scene) => sum + (scene.nodes || []).reduce((s, root) => s + subtree(root), 0), 0);
+}
+
+function isJoinableNode(node, mesh, accessors) {
+    // Baking a transform needs float (or normalized, read as float) positions, normals and tangents
+    const isFloat = (index) =>
+        index === undefined || accessors[index].componentType === GL.FLOAT || accessors[index].normalized;
+
+    return (
+        node.skin === undefined &&
+        node.weights === undefined &&
+        !node.extensions &&
+        mesh.primitives.every(
+            (prim) =>
+                JOINABLE_MODES.has(prim.mode ?? PRIMITIVE_MODE.TRIANGLES) &&
+                !prim.targets &&
+                !prim.extensions &&
+                prim.attributes.POSITION !== undefined &&
+                ['POSITION', 'NORMAL', 'TANGENT'].every((name) => isFloat(prim.attributes[name])),
+        )
+    );
+}
+
+/**
+ * Attribute names and formats, which must match for primitives to share vertex buffers
+ */
+function getAttributeLayout(prim) {
+    return Object.entries(prim.attributes)
+        .map(
+            ([name, attr]) =>
+                `${name}:${attr.accessor.type}:${attr.accessor.componentType}:${!!attr.accessor.normalized}`,
+        )
+        .sort()
+        .join(',');
+}
+
+/**
+ * Concatenate primitives into one, with positions, normals and tangents transformed to world space
+ */
+function joinPrimitives(entries, meshIndex, meshName) {
+    const first = entries[0].prim;
+    const vertexCounts = entries.map(({ prim }) => prim.attributes.POSITION.data.length / 3);
+    const totalVertices = vertexCounts.reduce((sum, n) => sum + n, 0);
+
+    const attributes = {};
+    for (const [name, attr] of Object.entries(first.attributes)) {
+        const numComponents = TYPE_COMPONENTS[attr.accessor.type];
+        const data = new attr.data.constructor(totalVertices * numComponents);
+
+        let offset = 0;
+        entries.forEach(({ prim, matrix }, i) => {
+            const source = prim.attributes[name].data;
+            data.set(source, offset);
+            transformAttribute(name, data.subarray(offset, offset + source.length), numComponents, matrix);
+            offset += vertexCounts[i] * numComponents;
+        });
+
+        const { min: _min, max: _max, ...accessor } = attr.accessor;
+        attributes[name] = { data, accessor: { ...accessor, count: totalVertices } };
+    }
+
+    let indices;
+    if (entries.some(({ prim }) => prim.indices)) {
+        const totalIndices = entries.reduce((sum, { prim }, i) => sum + (prim.indices?.length ?? vertexCounts[i]), 0);
+        indices = new Uint32Array(totalIndices);
+
+        let offset = 0;
+        let baseVertex = 0;
+        entries.forEach(({ prim, matrix }, i) => {
+            const source = prim.indices ?? Array.from({ length: vertexCounts[i] }, (_, v) => v);
+            // A mirroring transform reverses the winding, so front faces are flipped back
+            const flip = prim.mode === PRIMITIVE_MODE.TRIANGLES && determinant3(matrix) < 0;
+            for (let j = 0; j < source.length; j++) {
+                const k = flip && j % 3 === 1 ? j + 1 : flip && j % 3 === 2 ? j - 1 : j;
+                indices[offset + j] = source[k] + baseVertex;
+            }
+            offset += source.length;
+            baseVertex += vertexCounts[i];
+        });
+    } else if (first.mode === PRIMITIVE_MODE.TRIANGLES && entries.some(({ matrix }) => determinant3(matrix) < 0)) {
+        // Winding can only be fixed through indices
+        indices = new Uint32Array(totalVertices);
+        for (let v = 0; v < totalVertices; v++) indices[v] = v;
+        let baseVertex = 0;
+        entries.forEach(({ matrix }, i) => {
+            if (determinant3(matrix) < 0) {
+                for (let t = baseVertex; t + 2 < baseVertex + vertexCounts[i]; t += 3) {
+                    indices[t + 1] = t + 2;
+                    indices[t + 2] = t + 1;
+                }
+            }
+            baseVertex += vertexCounts[i];
+        });
+    }
+
+    const joined = {
+        meshIndex,
+        primitiveIndex: 0,
+        meshName,
+        skinned: false,
+        mode: first.mode,
+        material: first.material,
+        attributes,
+    };
+    if (indices) joined.indices = indices;
+    return joined;
+}
+
+/**
+ * Transform vertex data in place: points by the full matrix, normals by the inverse transpose,
+ * tangent directions by the upper 3x3 (keeping the handedness in w consistent with mirroring)
+ */
+function transformAttribute(name, data, numComponents, m) {
+    if (name === 'POSITION') {
+        for (let i = 0; i < data.length; i += 3) {
+            const [x, y, z] = [data[i], data[i + 1], data[i + 2]];
+            data[i] = m[0] * x + m[4] * y + m[8] * z + m[12];
+            data[i + 1] = m[1] * x + m[5] * y + m[9] * z + m[13];
+            data[i + 2] = m[2] * x + m[6] * y + m[10] * z + m[14];
+        }
+    } else if (name === 'NORMAL') {
+        transformDirections(data, numComponents, getNormalMatrix(m));
+    } else if (name === 'TANGENT') {
+        transformDirections(data, numComponents, [m[0], m[1], m[2], m[4], m[5], m[6], m[8], m[9], m[10]]);
+        if (determinant3(m) < 0) {
+            for (let i = 3; i < data.length; i += 4) data[i] = -data[i];
+        }
+    }
+}
+
+/**
+ * Multiply the xyz of each element by a column-major 3x3 matrix and renormalize
+ */
+function transformDirections(data, stride, n) {
+    for (let i = 0; i < data.length; i += stride) {
+        const [x, y, z] = [data[i], data[i + 1], data[i + 2]];
+        const tx = n[0] * x + n[3] * y + n[6] * z;
+        const ty = n[1] * x + n[4] * y + n[7] * z;
+        const tz = n[2] * x + n[5] * y + n[8] * z;
+        const length = Math.hypot(tx, ty, tz) || 1;
+        data[i] = tx / length;
+        data[i + 1] = ty / length;
+        data[i + 2] = tz / length;
+    }
+}
+
+/**
+ * Inverse transpose of the upper 3x3, up to a positive scale (the cofactor matrix, sign-corrected)
+ */
+function getNormalMatrix(m) {
+    const sign = determinant3(m) < 0 ? -1 : 1;
+    return [
+        sign * (m[5] * m[10] - m[6] * m[9]),
+        sign * (m[6] * m[8] - m[4] * m[10]),
+        sign * (m[4] * m[9] - m[5] * m[8]),
+        sign * (m[2] * m[9] - m[1] * m[10]),
+        sign * (m[0] * m[10] - m[2] * m[8]),
+        sign * (m[1] * m[8] - m[0] * m[9]),
+        sign * (m[1] * m[6] - m[2] * m[5]),
+        sign * (m[2] * m[4] - m[0] * m[6]),
+        sign * (m[0] * m[5] - m[1] * m[4]),
+    ];
+}
+
+function determinant3(m) {
+    return (
+        m[0] * (m[5] * m[10] - m[6] * m[9]) - m[4] * (m[1] * m[10] - m[2] * m[9]) + m[8] * (m[1] * m[6] - m[2] * m[5])
+    );
+}
+
+/**
+ * Column-major local matrix of a node, from matrix or translation/rotation/scale
+ */
+function getLocalMatrix(node) {
+    if (node.matrix) return node.matrix;
+
+    const [tx, ty, tz] = node.translation || [0, 0, 0];
+    const [x, y, z, w] = node.rotation || [0, 0, 0, 1];
+    const [sx, sy, sz] = node.scale || [1, 1, 1];
+
+    return [
+        (1 - 2 * (y * y + z * z)) * sx,
+        2 * (x * y + z * w) * sx,
+        2 * (x * z - y * w) * sx,
+        0,
+        2 * (x * y - z * w) * sy,
+        (1 - 2 * (x * x + z * z)) * sy,
+        2 * (y * z + x * w) * sy,
+        0,
+        2 * (x * z + y * w) * sz,
+        2 * (y * z - x * w) * sz,
+        (1 - 2 * (x * x + y * y)) * sz,
+        0,
+        tx,
+        ty,
+        tz,
+        1,
+    ];
+}
+
+function multiplyMatrices(a, b) {
+    const result = new Array(16);
+    for (let col = 0; col < 4; col++) {
+        for (let row = 0; row < 4; row++) {
+            let sum = 0;
+            for (let k = 0; k < 4; k++) sum += a[k * 4 + row] * b[col * 4 + k];
+            result[col * 4 + row] = sum;
+        }
+    }
+    return result;
+}
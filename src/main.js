@@ -1,18 +1,50 @@
 import './style.css';
-import { parseGLB } from './glb-parser.js';
-import { downloadGLB, writeGLB } from './glb-writer.js';
-import { DEFAULT_OPTIONS, generateLODChain, initOptimizer } from './optimizer.js';
-import { analyzeTextures, formatBytes, processTextures } from './texture-utils.js';
+import { getExternalURIs, packGLTF, parseGLB } from './glb-parser.js';
+import { downloadGLB, downloadGLTFZip } from './glb-writer.js';
+import { DEFAULT_OPTIONS, initOptimizer } from './optimizer.js';
+import { runPipeline } from './pipeline.js';
+import { analyzeTextures, estimateGPUMemory, formatBytes, formatCounts, getTargetSize } from './texture-utils.js';
 import { DiffViewer, GLBViewer } from './viewer.js';
 
+// Per-image format choices in the texture panel; '' follows the global Texture Format
+const TEXTURE_FORMAT_OPTIONS = [
+    ['', 'Default'],
+    ['original', 'Original'],
+    ['jpeg', 'JPEG'],
+    ['webp', 'WebP'],
+    ['avif', 'AVIF'],
+    ['ktx2', 'KTX2'],
+];
+
+// Per-image max size choices; '' follows the resize settings, 0 keeps the original size
+const TEXTURE_SIZE_OPTIONS = [
+    ['', 'Auto'],
+    ['0', 'Original'],
+    ...[4096, 2048, 1024, 512, 256, 128].map((size) => [String(size), String(size)]),
+];
+
 // Application state
 let currentFile = null;
+let currentFileSize = 0; // Input bytes, including a .gltf's external files
 let currentArrayBuffer = null;
 let parsedGLB = null;
-let optimizedData = null;
 let optimizedGLBData = null;
 let lodChain = null;
+let lodBundle = null;
 let currentLODIndex = 0;
+let processedImageCount = 0;
+let pruneStats = null; // Unused data removed in the last run
+let dedupeStats = null; // Duplicate resources merged in the last run
+let filterStats = null; // Compressed bytes per meshopt filter in the last run
+let compatibilityMode = false; // Whether the last run wrote glTF 2.0 core data only
+let meshoptFallbackData = false; // Whether the last run asked for decoded fallback data
+let animationStats = null; // Animation bytes before and after the last run
+let inputValidation = null; // validateGLTF report for the input of the last run
+let textureInfo = []; // analyzeTextures result for the loaded file
+let imageFormats = {}; // Per-image texture format overrides, by image index
+let imageSizes = {}; // Per-image max size overrides, by image index
+let resizedTextures = []; // Texture sizes chosen for the last run, for the results report
+let abortController = null;
 
 // Viewers
 let originalViewer = null;
@@ -27,6 +59,9 @@ const fileName = document.getElementById('file-name');
 const fileStats = document.getElementById('file-stats');
 const compressBtn = document.getElementById('compress-btn');
 const downloadBtn = document.getElementById('download-btn');
+const downloadBundleBtn = document.getElementById('download-bundle-btn');
+const downloadGLTFBtn = document.getElementById('download-gltf-btn');
+const cancelBtn = document.getElementById('cancel-btn');
 const progressContainer = document.getElementById('progress-container');
 const progressFill = document.getElementById('progress-fill');
 const progressText = document.getElementById('progress-text');
@@ -35,11 +70,20 @@ const originalSize = document.getElementById('original-size');
 const optimizedSize = document.getElementById('optimized-size');
 const reductionBadge = document.getElementById('reduction-badge');
 const resultsDetails = document.getElementById('results-details');
+const validationPanel = document.getElementById('validation-panel');
+const validationReport = document.getElementById('validation-report');
 const viewerPanel = document.getElementById('viewer-panel');
 const diffPanel = document.getElementById('diff-panel');
 const diffMode = document.getElementById('diff-mode');
 const texturePanel = document.getElementById('texture-panel');
 const textureAnalysis = document.getElementById('texture-analysis');
+const textureScaleSelect = document.getElementById('texture-scale');
+const textureMaxSizeSelect = document.getElementById('texture-max-size');
+const textureMaxDetailSizeSelect = document.getElementById('texture-max-detail-size');
+const texturePOTCheckbox = document.getElementById('opt-texture-pot');
+const textureFormatSelect = document.getElementById('texture-format');
+const textureQualityInput = document.getElementById('texture-quality');
+const textureQualityValue = document.getElementById('texture-quality-value');
 const lodSelectorContainer = document.getElementById('lod-selector-container');
 const lodSelector = document.getElementById('lod-selector');
 
@@ -69,25 +113,63 @@ function setupEventListeners() {
         dropZone.classList.remove('dragover');
     });
 
-    dropZone.addEventListener('drop', (e) => {
+    dropZone.addEventListener('drop', async (e) => {
         e.preventDefault();
         dropZone.classList.remove('dragover');
 
-        const files = e.dataTransfer.files;
+        // Entries must be taken before the handler yields; the DataTransfer is emptied afterwards
+        const entries = [...e.dataTransfer.items].map((item) => item.webkitGetAsEntry?.()).filter(Boolean);
+        const files =
+            entries.length > 0
+                ? await collectEntryFiles(entries)
+                : [...e.dataTransfer.files].map((file) => ({ path: file.name, file }));
+
         if (files.length > 0) {
-            handleFile(files[0]);
+            handleFiles(files);
         }
     });
 
     fileInput.addEventListener('change', (e) => {
         if (e.target.files.length > 0) {
-            handleFile(e.target.files[0]);
+            handleFiles([...e.target.files].map((file) => ({ path: file.name, file })));
         }
     });
 
     // Buttons
     compressBtn.addEventListener('click', compress);
     downloadBtn.addEventListener('click', download);
+    downloadBundleBtn.addEventListener('click', downloadBundle);
+    downloadGLTFBtn.addEventListener('click', downloadGLTF);
+    cancelBtn.addEventListener('click', () => abortController?.abort());
+
+    // Output sizes and GPU memory estimates in the texture panel follow the texture settings
+    for (const control of [
+        textureScaleSelect,
+        textureMaxSizeSelect,
+        textureMaxDetailSizeSelect,
+        texturePOTCheckbox,
+        textureFormatSelect,
+    ]) {
+        control.addEventListener('change', renderTextureAnalysis);
+    }
+    textureQualityInput.addEventListener('input', () => {
+        textureQualityValue.textContent = `${Math.round(textureQualityInput.value * 100)}%`;
+    });
+
+    // Per-image size and format overrides; each select defaults to following the global settings
+    textureAnalysis.addEventListener('change', (e) => {
+        const select = e.target.closest('select[data-image]');
+        if (!select) return;
+        const index = Number(select.dataset.image);
+        const isSize = select.dataset.setting === 'size';
+        const overrides = isSize ? imageSizes : imageFormats;
+        if (select.value) {
+            overrides[index] = isSize ? Number(select.value) : select.value;
+        } else {
+            delete overrides[index];
+        }
+        renderTextureAnalysis();
+    });
 
     // Diff mode
     diffMode.addEventListener('change', () => {
@@ -104,16 +186,73 @@ function setupEventListeners() {
     });
 }
 
-async function handleFile(file) {
-    if (!file.name.toLowerCase().endsWith('.glb') && !file.name.toLowerCase().endsWith('.gltf')) {
+/**
+ * Flatten dropped files and folders into { path, file } pairs, with paths relative to the drop
+ */
+async function collectEntryFiles(entries) {
+    const files = [];
+
+    const visit = async (entry) => {
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            files.push({ path: entry.fullPath.replace(/^\//, ''), file });
+            return;
+        }
+
+        // readEntries returns results in batches; keep reading until it comes back empty
+        const reader = entry.createReader();
+        let batch;
+        do {
+            batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            for (const child of batch) {
+                await visit(child);
+            }
+        } while (batch.length > 0);
+    };
+
+    for (const entry of entries) {
+        await visit(entry);
+    }
+    return files;
+}
+
+/**
+ * Load a .glb, or a .gltf together with the buffers and images it references
+ * @param {{path: string, file: File}[]} files - Selected or dropped files
+ */
+async function handleFiles(files) {
+    const model =
+        files.find(({ path }) => path.toLowerCase().endsWith('.glb')) ||
+        files.find(({ path }) => path.toLowerCase().endsWith('.gltf'));
+
+    if (!model) {
         alert('Please select a .glb or .gltf file');
         return;
     }
 
-    currentFile = file;
-    currentArrayBuffer = await file.arrayBuffer();
+    const file = model.file;
 
     try {
+        if (model.path.toLowerCase().endsWith('.gltf')) {
+            const jsonString = await file.text();
+            const resources = new Map();
+            currentFileSize = file.size;
+
+            for (const uri of getExternalURIs(JSON.parse(jsonString))) {
+                const resource = findResource(files, model.path, uri);
+                if (resource) {
+                    resources.set(uri, await resource.arrayBuffer());
+                    currentFileSize += resource.size;
+                }
+            }
+
+            currentArrayBuffer = packGLTF(jsonString, resources);
+        } else {
+            currentArrayBuffer = await file.arrayBuffer();
+            currentFileSize = file.size;
+        }
+
+        currentFile = file;
         parsedGLB = parseGLB(currentArrayBuffer);
         const stats = parsedGLB.getStats();
 
@@ -123,7 +262,7 @@ async function handleFile(file) {
         fileStats.innerHTML = `
             <div class="stat">
                 <div class="stat-label">File Size</div>
-                <div class="stat-value">${formatBytes(file.size)}</div>
+                <div class="stat-value">${formatBytes(currentFileSize)}</div>
             </div>
             <div class="stat">
                 <div class="stat-label">Meshes</div>
@@ -146,101 +285,215 @@ async function handleFile(file) {
 
         // Reset results
         resultsPanel.classList.remove('visible');
+        validationPanel.classList.remove('visible');
         viewerPanel.classList.remove('visible');
         diffPanel.classList.remove('visible');
         downloadBtn.disabled = true;
-        optimizedData = null;
+        downloadBundleBtn.disabled = true;
+        downloadGLTFBtn.disabled = true;
         optimizedGLBData = null;
         lodChain = null;
+        lodBundle = null;
     } catch (err) {
         console.error('Failed to parse GLB:', err);
         alert(`Failed to parse file: ${err.message}`);
     }
 }
 
+/**
+ * Find the file a glTF URI points to, relative to the .gltf's own folder.
+ * Falls back to a file name match, for files picked individually rather than as a folder.
+ */
+function findResource(files, gltfPath, uri) {
+    const parts = gltfPath.split('/').slice(0, -1);
+    for (const part of decodeURIComponent(uri).split('/')) {
+        if (part === '..') parts.pop();
+        else if (part !== '.' && part !== '') parts.push(part);
+    }
+
+    const resolved = parts.join('/');
+    const baseName = parts[parts.length - 1];
+
+    const match =
+        files.find(({ path }) => path === resolved) || files.find(({ path }) => path.split('/').pop() === baseName);
+    return match?.file ?? null;
+}
+
 async function analyzeAndDisplayTextures() {
     texturePanel.classList.add('visible');
     textureAnalysis.innerHTML = '<p class="placeholder-text">Analyzing textures...</p>';
 
     try {
-        const textures = await analyzeTextures(parsedGLB);
+        imageFormats = {};
+        imageSizes = {};
+        textureInfo = await analyzeTextures(parsedGLB);
+        renderTextureAnalysis();
+    } catch (err) {
+        console.error('Texture analysis failed:', err);
+        textureAnalysis.innerHTML = '<p class="placeholder-text">Failed to analyze textures</p>';
+    }
+}
 
-        if (textures.length === 0) {
-            textureAnalysis.innerHTML = '<p class="placeholder-text">No embedded textures found</p>';
-            return;
-        }
+function renderTextureAnalysis() {
+    const textures = textureInfo;
 
-        const totalSize = textures.reduce((sum, t) => sum + t.byteLength, 0);
-        const totalPixels = textures.reduce((sum, t) => sum + t.pixels, 0);
+    if (textures.length === 0) {
+        textureAnalysis.innerHTML = '<p class="placeholder-text">No embedded textures found</p>';
+        return;
+    }
 
-        let html = `
-            <div class="texture-summary">
-                <div class="texture-summary-item">
-                    <div class="label">Images</div>
-                    <div class="value">${textures.length}</div>
+    const totalSize = textures.reduce((sum, t) => sum + t.byteLength, 0);
+    const totalPixels = textures.reduce((sum, t) => sum + t.pixels, 0);
+
+    const textureOptions = getTextureOptions();
+    const targetSizes = new Map(textures.map((t) => [t.index, getTargetSize(t, textureOptions)]));
+    const outputFormat = (t) => imageFormats[t.index] ?? textureOptions.textureFormat;
+    const gpuMemory = textures.reduce((sum, t) => sum + estimateGPUMemory(t), 0);
+    const optimizedGPUMemory = textures.reduce(
+        (sum, t) => sum + estimateGPUMemory(t, outputFormat(t), targetSizes.get(t.index)),
+        0,
+    );
+
+    let html = `
+        <div class="texture-summary">
+            <div class="texture-summary-item">
+                <div class="label">Images</div>
+                <div class="value">${textures.length}</div>
+            </div>
+            <div class="texture-summary-item">
+                <div class="label">Total Size</div>
+                <div class="value">${formatBytes(totalSize)}</div>
+            </div>
+            <div class="texture-summary-item">
+                <div class="label">Total Pixels</div>
+                <div class="value">${(totalPixels / 1000000).toFixed(1)}M</div>
+            </div>
+            <div class="texture-summary-item">
+                <div class="label">GPU Memory</div>
+                <div class="value">${formatBytes(gpuMemory)}</div>
+            </div>
+            ${
+                optimizedGPUMemory < gpuMemory
+                    ? `
+            <div class="texture-summary-item">
+                <div class="label">GPU Memory Saved</div>
+                <div class="value">${formatBytes(gpuMemory - optimizedGPUMemory)}</div>
+            </div>
+            `
+                    : ''
+            }
+        </div>
+    `;
+
+    for (const tex of textures) {
+        const target = targetSizes.get(tex.index);
+        const resized = target.width !== tex.width || target.height !== tex.height;
+        html += `
+            <div class="texture-item">
+                <div class="texture-item-header">
+                    <span class="texture-item-name">${tex.name}</span>
+                    <span class="texture-item-size">${formatBytes(tex.byteLength)}</span>
                 </div>
-                <div class="texture-summary-item">
-                    <div class="label">Total Size</div>
-                    <div class="value">${formatBytes(totalSize)}</div>
+                <div class="texture-item-details">
+                    ${tex.width} x ${tex.height} (${tex.mimeType}), ${formatBytes(estimateGPUMemory(tex))} GPU
+                    ${
+                        resized
+                            ? `<br>Output ${target.width} x ${target.height}, ${formatBytes(
+                                  estimateGPUMemory(tex, outputFormat(tex), target),
+                              )} GPU`
+                            : ''
+                    }
                 </div>
-                <div class="texture-summary-item">
-                    <div class="label">Total Pixels</div>
-                    <div class="value">${(totalPixels / 1000000).toFixed(1)}M</div>
+                <div class="texture-item-format">
+                    <label>
+                        Size:
+                        <select data-image="${tex.index}" data-setting="size">
+                            ${renderSelectOptions(TEXTURE_SIZE_OPTIONS, imageSizes[tex.index])}
+                        </select>
+                    </label>
+                    <label>
+                        Format:
+                        <select data-image="${tex.index}" data-setting="format">
+                            ${renderSelectOptions(TEXTURE_FORMAT_OPTIONS, imageFormats[tex.index])}
+                        </select>
+                    </label>
                 </div>
+                ${
+                    tex.usage.length > 0
+                        ? `
+                    <div class="texture-item-usage">
+                        ${tex.usage.map((u) => `<span class="texture-usage-tag">${u.type}</span>`).join('')}
+                    </div>
+                `
+                        : ''
+                }
+                ${tex.recommendations
+                    .map(
+                        (r) => `
+                    <div class="texture-recommendation ${r.type}">${r.message}</div>
+                `,
+                    )
+                    .join('')}
             </div>
         `;
+    }
 
-        for (const tex of textures) {
-            html += `
-                <div class="texture-item">
-                    <div class="texture-item-header">
-                        <span class="texture-item-name">${tex.name}</span>
-                        <span class="texture-item-size">${formatBytes(tex.byteLength)}</span>
-                    </div>
-                    <div class="texture-item-details">
-                        ${tex.width} x ${tex.height} (${tex.mimeType})
-                    </div>
-                    ${
-                        tex.usage.length > 0
-                            ? `
-                        <div class="texture-item-usage">
-                            ${tex.usage.map((u) => `<span class="texture-usage-tag">${u.type}</span>`).join('')}
-                        </div>
-                    `
-                            : ''
-                    }
-                    ${tex.recommendations
-                        .map(
-                            (r) => `
-                        <div class="texture-recommendation ${r.type}">${r.message}</div>
-                    `,
-                        )
-                        .join('')}
-                </div>
-            `;
-        }
+    textureAnalysis.innerHTML = html;
+}
 
-        textureAnalysis.innerHTML = html;
-    } catch (err) {
-        console.error('Texture analysis failed:', err);
-        textureAnalysis.innerHTML = '<p class="placeholder-text">Failed to analyze textures</p>';
-    }
+function renderSelectOptions(choices, selected) {
+    return choices
+        .map(
+            ([value, label]) =>
+                `<option value="${value}"${String(selected ?? '') === value ? ' selected' : ''}>${label}</option>`,
+        )
+        .join('');
+}
+
+/**
+ * Texture settings from the settings panel and the per-image overrides, as processTextures options
+ */
+function getTextureOptions() {
+    return {
+        textureScale: parseFloat(textureScaleSelect.value),
+        textureMaxSize: parseInt(textureMaxSizeSelect.value, 10),
+        textureMaxDetailSize: parseInt(textureMaxDetailSizeSelect.value, 10),
+        texturePowerOfTwo: texturePOTCheckbox.checked,
+        textureFormat: textureFormatSelect.value,
+        textureQuality: parseFloat(textureQualityInput.value),
+        textureFallback: document.getElementById('opt-texture-fallback').checked,
+        imageFormats: imageFormats,
+        imageSizes: imageSizes,
+    };
 }
 
 async function compress() {
     if (!parsedGLB) return;
 
     compressBtn.disabled = true;
+    cancelBtn.hidden = false;
     progressContainer.classList.add('visible');
     updateProgress(0, 'Initializing...');
 
+    abortController = new AbortController();
+
     try {
         const lodError = parseFloat(document.getElementById('lod-error').value);
         const textureAware = document.getElementById('opt-texture-aware').checked;
         const importanceThreshold = parseFloat(document.getElementById('importance-threshold').value);
-        const textureScale = parseFloat(document.getElementById('texture-scale').value);
+        const textureOptions = getTextureOptions();
 
         const meshoptCompression = document.getElementById('opt-meshopt-compress').checked;
+        const meshoptFilters = document.getElementById('opt-meshopt-filters').checked;
+        const meshoptFallback = document.getElementById('opt-meshopt-fallback').checked;
+        const maxCompatibility = document.getElementById('opt-compatibility').checked;
+        const deduplicateResources = document.getElementById('opt-dedupe-resources').checked;
+        const pruneUnused = document.getElementById('opt-prune').checked;
+        const keepUnusedMaterials = document.getElementById('opt-keep-materials').checked;
+        const optimizeAnimations = document.getElementById('opt-optimize-animations').checked;
+        const animationFrameRate = parseInt(document.getElementById('animation-frame-rate').value, 10);
+        const instanceMeshes = document.getElementById('opt-instance-meshes').checked;
+        const joinMeshes = document.getElementById('opt-join-meshes').checked;
 
         const options = {
             ...DEFAULT_OPTIONS,
@@ -248,50 +501,71 @@ async function compress() {
             textureAware: textureAware,
             importanceThreshold: importanceThreshold,
             meshoptCompression: meshoptCompression,
+            octahedralFilter: meshoptFilters,
+            quaternionFilter: meshoptFilters,
+            exponentialFilter: meshoptFilters,
+            meshoptFallback: meshoptFallback,
+            compatibilityMode: maxCompatibility,
+            deduplicateResources: deduplicateResources,
+            pruneUnused: pruneUnused,
+            keepUnusedMaterials: keepUnusedMaterials,
+            optimizeAnimations: optimizeAnimations,
+            animationFrameRate: animationFrameRate,
+            instanceMeshes: instanceMeshes,
+            joinMeshes: joinMeshes,
+            ...textureOptions,
         };
 
-        updateProgress(10, 'Analyzing mesh...');
-        await sleep(50);
-
-        // Generate LOD chain
-        updateProgress(20, textureAware ? 'Analyzing texture importance...' : 'Generating LODs...');
-        lodChain = await generateLODChain(parsedGLB, [1.0, 0.9, 0.8, 0.7, 0.5, 0.25], options, currentArrayBuffer);
+        resizedTextures = textureInfo
+            .map((tex) => ({ tex, target: getTargetSize(tex, textureOptions) }))
+            .filter(({ tex, target }) => target.width !== tex.width || target.height !== tex.height);
 
-        updateProgress(60, 'Processing textures...');
-        let processedImages = null;
-        if (textureScale < 1.0) {
-            processedImages = await processTextures(parsedGLB, textureScale);
-        }
-
-        updateProgress(80, 'Writing GLB...');
+        // LOD generation, texture processing and GLB writing all run in a worker
+        const result = await runPipeline(currentArrayBuffer, [1.0, 0.9, 0.8, 0.7, 0.5, 0.25], options, {
+            onProgress: updateProgress,
+            signal: abortController.signal,
+        });
 
         // Use the first LOD (100%) as the default optimized output
+        lodChain = result.lods;
+        lodBundle = result.bundle;
+        processedImageCount = result.processedImageCount;
+        pruneStats = result.pruneStats;
+        dedupeStats = result.dedupeStats;
+        filterStats = result.filterStats;
+        compatibilityMode = maxCompatibility;
+        meshoptFallbackData = meshoptFallback;
+        animationStats = result.animationStats;
+        inputValidation = result.inputValidation;
         currentLODIndex = 0;
-        optimizedData = lodChain[0].optimizedData;
-        optimizedGLBData = writeGLB(optimizedData, options, processedImages);
-
-        updateProgress(100, 'Complete!');
+        optimizedGLBData = lodChain[0].glb;
 
         // Show results
-        showResults(processedImages);
+        showResults();
 
         // Setup viewers
         await setupViewers();
 
         // Setup LOD selector
-        setupLODSelector(options, processedImages);
+        setupLODSelector();
     } catch (err) {
-        console.error('Compression failed:', err);
-        alert(`Compression failed: ${err.message}`);
+        if (err.name === 'AbortError') {
+            updateProgress(0, 'Cancelled');
+        } else {
+            console.error('Compression failed:', err);
+            alert(`Compression failed: ${err.message}`);
+        }
     } finally {
+        abortController = null;
         compressBtn.disabled = false;
+        cancelBtn.hidden = true;
         setTimeout(() => {
             progressContainer.classList.remove('visible');
         }, 1000);
     }
 }
 
-function setupLODSelector(options, processedImages) {
+function setupLODSelector() {
     lodSelectorContainer.style.display = 'flex';
     lodSelector.innerHTML = '';
 
@@ -306,12 +580,10 @@ function setupLODSelector(options, processedImages) {
             lodSelector.querySelectorAll('button').forEach((b) => b.classList.remove('active'));
             btn.classList.add('active');
 
-            // Generate new GLB for this LOD
-            optimizedData = lod.optimizedData;
-            optimizedGLBData = writeGLB(optimizedData, options, processedImages);
+            optimizedGLBData = lod.glb;
 
             // Update results
-            showResults(processedImages);
+            showResults();
 
             // Reload viewers with same normalization
             if (optimizedViewer && originalViewer) {
@@ -326,8 +598,8 @@ function setupLODSelector(options, processedImages) {
     });
 }
 
-function showResults(processedImages) {
-    const originalBytes = currentFile.size;
+function showResults() {
+    const originalBytes = currentFileSize;
     const optimizedBytes = optimizedGLBData.byteLength;
     const reduction = ((1 - optimizedBytes / originalBytes) * 100).toFixed(1);
 
@@ -338,13 +610,47 @@ function showResults(processedImages) {
     let details = '<p><strong>Optimizations applied:</strong></p>';
     details += '<p>- Vertex deduplication</p>';
     details += '<p>- Vertex cache optimization</p>';
-    details += '<p>- Position quantization (16-bit)</p>';
-    details += '<p>- Normal quantization (8-bit)</p>';
-    details += '<p>- UV quantization (16-bit)</p>';
-    details += '<p>- Meshopt compression</p>';
+    if (compatibilityMode) {
+        details += '<p>- glTF 2.0 core output (float attributes, no quantization or compression)</p>';
+    } else {
+        details += '<p>- Position quantization (16-bit)</p>';
+        details += '<p>- Normal quantization (8-bit)</p>';
+        details += '<p>- UV quantization (16-bit)</p>';
+        details += '<p>- Meshopt compression</p>';
+    }
+
+    for (const [filter, { attributes, bytes, unfilteredBytes }] of Object.entries(filterStats || {})) {
+        const name = filter.charAt(0) + filter.slice(1).toLowerCase();
+        details += `<p>&nbsp;&nbsp;${name} filter: ${attributes} accessors, `;
+        details += `${formatBytes(unfilteredBytes)} → ${formatBytes(bytes)}</p>`;
+    }
+
+    const { drawCallCount, originalDrawCallCount } = lodChain[0];
+    if (drawCallCount !== originalDrawCallCount) {
+        details += `<p>- Draw calls reduced (${originalDrawCallCount} → ${drawCallCount})</p>`;
+    }
+
+    if (animationStats?.original > 0) {
+        const animationBefore = formatBytes(animationStats.original);
+        details += `<p>- Animation keyframes reduced (${animationBefore} → ${formatBytes(animationStats.optimized)})</p>`;
+    }
+
+    const removed = pruneStats ? formatCounts(pruneStats) : '';
+    if (removed) {
+        details += `<p>- Unused data removed (${removed})</p>`;
+    }
+
+    const { bytes: mergedBytes, ...mergedCounts } = dedupeStats || {};
+    const merged = dedupeStats ? formatCounts(mergedCounts) : '';
+    if (merged) {
+        details += `<p>- Duplicate resources merged (${merged}, ${formatBytes(mergedBytes)} saved)</p>`;
+    }
 
-    if (processedImages && processedImages.size > 0) {
-        details += `<p>- Texture resizing (${processedImages.size} images)</p>`;
+    if (processedImageCount > 0) {
+        details += `<p>- Texture processing (${processedImageCount} images)</p>`;
+        for (const { tex, target } of resizedTextures) {
+            details += `<p>&nbsp;&nbsp;${tex.name}: ${tex.width}x${tex.height} → ${target.width}x${target.height}</p>`;
+        }
     }
 
     if (lodChain && currentLODIndex > 0) {
@@ -354,7 +660,44 @@ function showResults(processedImages) {
 
     resultsDetails.innerHTML = details;
     resultsPanel.classList.add('visible');
+    showValidation();
     downloadBtn.disabled = false;
+    downloadBundleBtn.disabled = !lodBundle;
+    downloadGLTFBtn.disabled = false;
+}
+
+// Issues listed per file in the validation panel; the summary still counts all of them
+const MAX_LISTED_ISSUES = 50;
+
+function showValidation() {
+    const lod = lodChain[currentLODIndex];
+    validationReport.innerHTML =
+        renderValidation('Input', inputValidation) +
+        renderValidation(`Output (LOD ${lod.levelPercent})`, lod.validation);
+    validationPanel.classList.add('visible');
+}
+
+function renderValidation(title, { issues, errors, warnings, infos }) {
+    const summary = issues.length === 0 ? 'No issues found' : `${errors} errors, ${warnings} warnings, ${infos} infos`;
+    let html = `<div class="validation-file"><div class="validation-header"><strong>${title}</strong>`;
+    html += `<span class="validation-summary ${errors > 0 ? 'error' : ''}">${summary}</span></div>`;
+
+    for (const issue of issues.slice(0, MAX_LISTED_ISSUES)) {
+        html += `
+            <div class="validation-issue ${issue.severity}">
+                <span class="validation-code">${issue.code}</span> ${escapeHTML(issue.message)}
+                <div class="validation-pointer">${escapeHTML(issue.pointer)}</div>
+            </div>
+        `;
+    }
+    if (issues.length > MAX_LISTED_ISSUES) {
+        html += `<p class="placeholder-text">…and ${issues.length - MAX_LISTED_ISSUES} more</p>`;
+    }
+    return `${html}</div>`;
+}
+
+function escapeHTML(text) {
+    return text.replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
 }
 
 async function setupViewers() {
@@ -400,14 +743,26 @@ function download() {
     downloadGLB(optimizedGLBData, filename);
 }
 
+function downloadGLTF() {
+    if (!optimizedGLBData) return;
+
+    const baseName = currentFile.name.replace(/\.(glb|gltf)$/i, '');
+    const lodSuffix = lodChain && currentLODIndex > 0 ? `_lod${currentLODIndex}` : '';
+
+    downloadGLTFZip(optimizedGLBData, `${baseName}_optimized${lodSuffix}`, meshoptFallbackData);
+}
+
+function downloadBundle() {
+    if (!lodBundle) return;
+
+    const baseName = currentFile.name.replace(/\.(glb|gltf)$/i, '');
+    downloadGLB(lodBundle, `${baseName}_optimized_lods.glb`);
+}
+
 function updateProgress(percent, text) {
     progressFill.style.width = `${percent}%`;
     progressText.textContent = text;
 }
 
-function sleep(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
 // Start the application
 init();
@@ -5,11 +5,33 @@
  * 1. Vertex deduplication (compactMesh)
  * 2. Vertex cache optimization (reorderMesh)
  * 3. Quantization (positions, normals, UVs)
+ *
+ * Morph target deltas follow every vertex remap and are quantized alongside.
+ * Strips, fans and line strips/loops are converted to lists first; points and lines skip
+ * the triangle-only stages (vertex cache optimization, triangle simplification).
+ * Skinned primitives keep integer joints and normalized weights, and keep float positions:
+ * their node transform is ignored by the skinning pipeline, so it cannot carry the dequantization.
  */
 
-import { MeshoptEncoder, MeshoptSimplifier } from 'meshoptimizer';
-import { GL, TYPE_COMPONENTS } from './glb-parser.js';
-import { quantizeNormals, quantizePositions, quantizeTangents, quantizeUVs } from './quantizer.js';
+import { MeshoptDecoder, MeshoptEncoder, MeshoptSimplifier } from 'meshoptimizer';
+import { optimizeAnimations } from './animation.js';
+import { resolveCompatibilityOptions } from './compatibility.js';
+import { forEachTextureSlot, GL, getTextureSlotTexCoord, PRIMITIVE_MODE, TYPE_COMPONENTS } from './glb-parser.js';
+import { instanceMeshes } from './instance.js';
+import { countDrawCalls, joinMeshes } from './join.js';
+import {
+    computeUVTransform,
+    getMeshoptFilter,
+    isIdentityUVTransform,
+    normalizeWeights,
+    quantizeMorphNormals,
+    quantizeMorphPositions,
+    quantizeNormals,
+    quantizePositions,
+    quantizeTangents,
+    quantizeUVs,
+    quantizeWeights,
+} from './quantizer.js';
 import { analyzeTextureImportance, buildVertexLock, findUVSeams } from './texture-importance.js';
 import { analyzeViewImportance, mergeImportance } from './view-importance.js';
 
@@ -20,17 +42,35 @@ export const DEFAULT_OPTIONS = {
     quantizeNormals: true,
     quantizeUVs: true,
     quantizeTangents: true,
+    quantizeWeights: true,
     positionBits: 16,
     meshoptCompression: true,
+    deduplicateResources: true,
+    pruneUnused: true,
+    keepUnusedMaterials: false,
+    joinMeshes: false,
+    instanceMeshes: false,
+    optimizeAnimations: true,
+    animationFrameRate: 30,
+    animationTolerance: 0.001,
+    quantizeAnimations: true,
+    octahedralFilter: true,
+    octahedralFilterBits: 8,
+    quaternionFilter: true,
+    quaternionFilterBits: 12,
+    exponentialFilter: true,
+    exponentialFilterBits: 16,
+    meshoptFallback: false,
+    compatibilityMode: false,
 };
 
 /**
  * Initialize WASM modules - must be called before optimization
  */
 export async function initOptimizer() {
-    await Promise.all([MeshoptEncoder.ready, MeshoptSimplifier.ready]);
+    await Promise.all([MeshoptEncoder.ready, MeshoptSimplifier.ready, MeshoptDecoder.ready]);
 
-    if (!MeshoptEncoder.supported || !MeshoptSimplifier.supported) {
+    if (!MeshoptEncoder.supported || !MeshoptSimplifier.supported || !MeshoptDecoder.supported) {
         throw new Error('WebAssembly not supported in this browser');
     }
 }
@@ -43,6 +83,7 @@ export function optimizePrimitive(primitive, options = DEFAULT_OPTIONS) {
         meshIndex: primitive.meshIndex,
         primitiveIndex: primitive.primitiveIndex,
         meshName: primitive.meshName,
+        skinned: primitive.skinned,
         mode: primitive.mode,
         material: primitive.material,
         attributes: {},
@@ -64,14 +105,18 @@ export function optimizePrimitive(primitive, options = DEFAULT_OPTIONS) {
     let vertexCount = positions.length / 3;
     result.stats.originalVertices = vertexCount;
 
-    const indices = primitive.indices ? new Uint32Array(primitive.indices) : createDefaultIndices(vertexCount);
+    const { indices, mode } = toListIndices(
+        primitive.indices ? new Uint32Array(primitive.indices) : createDefaultIndices(vertexCount),
+        primitive.mode,
+    );
+    result.mode = mode;
 
     result.stats.originalBytes = calculateOriginalBytes(primitive);
 
     if (options.deduplicateVertices && MeshoptSimplifier.supported) {
-        const [remap, uniqueCount] = MeshoptSimplifier.compactMesh(indices);
+        const [remap, uniqueCount] = compactIndices(indices, mode);
 
-        positions = remapAttribute(positions, remap, 3);
+        positions = remapAttribute(positions, remap, 3, uniqueCount);
         vertexCount = uniqueCount;
 
         for (const [name, attr] of Object.entries(primitive.attributes)) {
@@ -79,18 +124,28 @@ export function optimizePrimitive(primitive, options = DEFAULT_OPTIONS) {
                 const numComponents = TYPE_COMPONENTS[attr.accessor.type];
                 primitive.attributes[name] = {
                     ...attr,
-                    data: remapAttribute(new Float32Array(attr.data), remap, numComponents),
+                    data: remapAttribute(attr.data, remap, numComponents, uniqueCount),
                 };
             }
         }
+
+        primitive.targets = remapTargets(primitive.targets, remap, uniqueCount);
     }
 
     result.stats.optimizedVertices = vertexCount;
 
     if (options.optimizeVertexCache && MeshoptEncoder.supported) {
-        const [remap, unique] = MeshoptEncoder.reorderMesh(indices, true, false);
+        // Points have no connectivity to optimize for; sort them spatially to help compression instead
+        let remap, unique;
+        if (mode === PRIMITIVE_MODE.POINTS) {
+            remap = MeshoptEncoder.reorderPoints(positions, 3);
+            unique = vertexCount;
+            for (let i = 0; i < indices.length; i++) indices[i] = remap[indices[i]];
+        } else {
+            [remap, unique] = MeshoptEncoder.reorderMesh(indices, mode === PRIMITIVE_MODE.TRIANGLES, false);
+        }
 
-        positions = remapAttribute(positions, remap, 3);
+        positions = remapAttribute(positions, remap, 3, unique);
         vertexCount = unique;
 
         for (const [name, attr] of Object.entries(primitive.attributes)) {
@@ -99,13 +154,15 @@ export function optimizePrimitive(primitive, options = DEFAULT_OPTIONS) {
                 const numComponents = TYPE_COMPONENTS[attr.accessor.type];
                 primitive.attributes[name] = {
                     ...attr,
-                    data: remapAttribute(new Float32Array(data), remap, numComponents),
+                    data: remapAttribute(data, remap, numComponents, unique),
                 };
             }
         }
+
+        primitive.targets = remapTargets(primitive.targets, remap, unique);
     }
 
-    if (options.quantizePositions) {
+    if (options.quantizePositions && !primitive.skinned) {
         const quantized = quantizePositions(positions, options.positionBits);
         result.attributes.POSITION = {
             data: quantized.quantized,
@@ -127,13 +184,23 @@ export function optimizePrimitive(primitive, options = DEFAULT_OPTIONS) {
             count: vertexCount,
             min: computeMin(positions, 3),
             max: computeMax(positions, 3),
+            ...getMeshoptFilter('EXPONENTIAL', options),
         };
     }
 
     const normAttr = primitive.attributes.NORMAL;
     if (normAttr) {
         const normals = new Float32Array(normAttr.data);
-        if (options.quantizeNormals) {
+        const filter = options.quantizeNormals && getMeshoptFilter('OCTAHEDRAL', options);
+        if (filter) {
+            result.attributes.NORMAL = {
+                data: normals,
+                componentType: GL.FLOAT,
+                type: 'VEC3',
+                count: vertexCount,
+                ...filter,
+            };
+        } else if (options.quantizeNormals) {
             const quantized = quantizeNormals(normals);
             result.attributes.NORMAL = {
                 data: quantized.quantized,
@@ -157,14 +224,20 @@ export function optimizePrimitive(primitive, options = DEFAULT_OPTIONS) {
         const uvAttr = primitive.attributes[uvName];
         if (uvAttr) {
             const uvs = new Float32Array(uvAttr.data);
-            if (options.quantizeUVs) {
-                const quantized = quantizeUVs(uvs);
+            // A null plan entry means the range cannot be restored through the material (see planUVQuantization)
+            const plan = primitive.uvQuantization;
+            const uvTransform = plan && uvName in plan ? plan[uvName] : computeUVTransform(uvs);
+            if (options.quantizeUVs && uvTransform) {
+                const quantized = quantizeUVs(uvs, uvTransform);
                 result.attributes[uvName] = {
                     data: quantized.quantized,
                     componentType: quantized.componentType,
                     type: quantized.type,
                     count: vertexCount,
                     normalized: quantized.normalized,
+                    transform: isIdentityUVTransform(uvTransform)
+                        ? undefined
+                        : { offset: quantized.offset, scale: quantized.scale },
                 };
             } else {
                 result.attributes[uvName] = {
@@ -172,6 +245,7 @@ export function optimizePrimitive(primitive, options = DEFAULT_OPTIONS) {
                     componentType: GL.FLOAT,
                     type: 'VEC2',
                     count: vertexCount,
+                    ...getMeshoptFilter('EXPONENTIAL', options),
                 };
             }
         }
@@ -180,7 +254,16 @@ export function optimizePrimitive(primitive, options = DEFAULT_OPTIONS) {
     const tanAttr = primitive.attributes.TANGENT;
     if (tanAttr) {
         const tangents = new Float32Array(tanAttr.data);
-        if (options.quantizeTangents) {
+        const filter = options.quantizeTangents && getMeshoptFilter('OCTAHEDRAL', options);
+        if (filter) {
+            result.attributes.TANGENT = {
+                data: tangents,
+                componentType: GL.FLOAT,
+                type: 'VEC4',
+                count: vertexCount,
+                ...filter,
+            };
+        } else if (options.quantizeTangents) {
             const quantized = quantizeTangents(tangents);
             result.attributes.TANGENT = {
                 data: quantized.quantized,
@@ -199,9 +282,27 @@ export function optimizePrimitive(primitive, options = DEFAULT_OPTIONS) {
         }
     }
 
+    const weightNames = Object.keys(primitive.attributes)
+        .filter((name) => /^WEIGHTS_\d+$/.test(name))
+        .sort();
+    if (weightNames.length > 0) {
+        const weightSets = normalizeWeights(weightNames.map((name) => primitive.attributes[name].data));
+        const quantizedSets = options.quantizeWeights ? quantizeWeights(weightSets) : null;
+
+        weightNames.forEach((name, i) => {
+            result.attributes[name] = {
+                data: quantizedSets ? quantizedSets[i].quantized : weightSets[i],
+                componentType: quantizedSets ? quantizedSets[i].componentType : GL.FLOAT,
+                type: 'VEC4',
+                count: vertexCount,
+                normalized: quantizedSets ? quantizedSets[i].normalized : undefined,
+            };
+        });
+    }
+
+    // Remaining attributes (JOINTS_n, COLOR_n, custom) keep their source component type
     for (const [name, attr] of Object.entries(primitive.attributes)) {
         if (!result.attributes[name]) {
-            const _numComponents = TYPE_COMPONENTS[attr.accessor.type];
             result.attributes[name] = {
                 data: attr.data,
                 componentType: attr.accessor.componentType,
@@ -212,7 +313,16 @@ export function optimizePrimitive(primitive, options = DEFAULT_OPTIONS) {
         }
     }
 
-    result.indices = optimizeIndexBuffer(indices, vertexCount);
+    if (primitive.targets) {
+        const positionTransform = result.attributes.POSITION.transform;
+        result.targets = primitive.targets.map((target) =>
+            optimizeMorphTarget(target, vertexCount, options, positionTransform),
+        );
+    }
+
+    // Compacted point clouds are drawn in vertex order and need no index buffer
+    const dropIndices = mode === PRIMITIVE_MODE.POINTS && (!primitive.indices || options.deduplicateVertices);
+    result.indices = dropIndices ? null : optimizeIndexBuffer(indices, vertexCount, !options.compatibilityMode);
     result.stats.optimizedBytes = calculateOptimizedBytes(result);
 
     return result;
@@ -221,10 +331,16 @@ export function optimizePrimitive(primitive, options = DEFAULT_OPTIONS) {
 /**
  * Optimize all primitives in a parsed GLB
  */
-export function optimizeGLB(parsedGLB, options = DEFAULT_OPTIONS) {
+export function optimizeGLB(parsedGLB, optimizerOptions = DEFAULT_OPTIONS) {
+    const options = resolveCompatibilityOptions(optimizerOptions);
     const primitives = parsedGLB.getAllPrimitives();
     const optimized = [];
 
+    // LOD chains plan on the full-detail primitives, so every level shares the same UV transforms
+    if (options.quantizeUVs && primitives.some((prim) => !prim.uvQuantization)) {
+        planUVQuantization(primitives, parsedGLB.json);
+    }
+
     let totalOriginalBytes = 0;
     let totalOptimizedBytes = 0;
     let totalOriginalVertices = 0;
@@ -237,8 +353,19 @@ export function optimizeGLB(parsedGLB, options = DEFAULT_OPTIONS) {
         TEXCOORD: { original: 0, optimized: 0 },
         TANGENT: { original: 0, optimized: 0 },
         OTHER: { original: 0, optimized: 0 },
+        ANIMATION: { original: 0, optimized: 0 },
     };
 
+    // LOD chains optimize the animations once and pass them in with every level
+    let animations = parsedGLB.optimizedAnimations;
+    if (animations === undefined) {
+        animations = options.optimizeAnimations !== false ? optimizeAnimations(parsedGLB, options) : null;
+    }
+    if (animations) {
+        attrStats.ANIMATION.original = animations.originalBytes;
+        attrStats.ANIMATION.optimized = animations.optimizedBytes;
+    }
+
     for (const prim of primitives) {
         const opt = optimizePrimitive(prim, options);
         optimized.push(opt);
@@ -265,12 +392,13 @@ export function optimizeGLB(parsedGLB, options = DEFAULT_OPTIONS) {
                 attrStats.OTHER.original += bytes;
             }
         }
+        attrStats.OTHER.original += getTargetBytes(prim.targets);
 
         if (opt.indices) {
             attrStats.indices.optimized += opt.indices.data.byteLength;
         }
         for (const [name, attr] of Object.entries(opt.attributes)) {
-            const bytes = attr.data.byteLength;
+            const bytes = getAttributeByteLength(attr);
             if (name === 'POSITION') {
                 attrStats.POSITION.optimized += bytes;
             } else if (name === 'NORMAL') {
@@ -283,12 +411,17 @@ export function optimizeGLB(parsedGLB, options = DEFAULT_OPTIONS) {
                 attrStats.OTHER.optimized += bytes;
             }
         }
+        attrStats.OTHER.optimized += getTargetBytes(opt.targets);
     }
 
     return {
         primitives: optimized,
         originalJSON: parsedGLB.json,
-        originalBinChunk: parsedGLB.binChunk,
+        instanceTransforms: parsedGLB.instanceTransforms,
+        animationSamplers: animations?.samplers,
+        getOriginalImageData: parsedGLB.getImageData,
+        getOriginalImageMimeType: parsedGLB.getImageMimeType,
+        getOriginalAccessorData: parsedGLB.getAccessorData,
         stats: {
             totalOriginalBytes,
             totalOptimizedBytes,
@@ -309,9 +442,137 @@ function createDefaultIndices(vertexCount) {
     return indices;
 }
 
-function remapAttribute(data, remap, numComponents) {
+/**
+ * Decide how each primitive's UV sets are quantized, recorded as primitive.uvQuantization[uvName]
+ *
+ * UVs outside [0, 1] are normalized over their bounding range, which the material then undoes through
+ * KHR_texture_transform. That only works if every primitive sharing the material agrees on the range
+ * and the material has unrotated texture slots reading the set; otherwise the entry is null (float UVs).
+ */
+function planUVQuantization(primitives, json) {
+    const groups = new Map();
+
+    for (const prim of primitives) {
+        prim.uvQuantization = {};
+        for (const [name, attr] of Object.entries(prim.attributes)) {
+            if (!name.startsWith('TEXCOORD_')) continue;
+
+            const key = `${prim.material}:${name}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push({ prim, name, transform: computeUVTransform(new Float32Array(attr.data)) });
+        }
+    }
+
+    for (const entries of groups.values()) {
+        const { prim, name, transform } = entries[0];
+        const shared = entries.every(
+            (entry) =>
+                entry.transform.offset.every((v, i) => v === transform.offset[i]) &&
+                entry.transform.scale.every((v, i) => v === transform.scale[i]),
+        );
+        const material = prim.material !== undefined ? json.materials?.[prim.material] : null;
+        const transformable =
+            shared && material && canTransformTexCoord(material, Number(name.slice('TEXCOORD_'.length)));
+
+        for (const entry of entries) {
+            const keep = transformable || isIdentityUVTransform(entry.transform);
+            entry.prim.uvQuantization[entry.name] = keep ? entry.transform : null;
+        }
+    }
+}
+
+/**
+ * Whether a material reads a texture coordinate set through slots that can all take a scale/offset transform
+ */
+function canTransformTexCoord(material, texCoord) {
+    let used = false;
+    let rotated = false;
+
+    forEachTextureSlot(material, (slot) => {
+        if (getTextureSlotTexCoord(slot) !== texCoord) return;
+        used = true;
+        // Composing with a rotation would need the rotation applied to our offset; not worth it
+        if (slot.extensions?.KHR_texture_transform?.rotation) rotated = true;
+    });
+
+    return used && !rotated;
+}
+
+/**
+ * Expand strips, fans and line strips/loops into plain index lists
+ * @returns {{indices: Uint32Array, mode: number}} List indices and the list mode (TRIANGLES, LINES or POINTS)
+ */
+function toListIndices(indices, mode) {
+    const n = indices.length;
+    const list = [];
+
+    switch (mode) {
+        case PRIMITIVE_MODE.TRIANGLE_STRIP:
+            // Every other triangle is flipped to keep the winding consistent; degenerates are dropped
+            for (let i = 0; i + 2 < n; i++) {
+                const a = indices[i];
+                const b = indices[i + 1 + (i % 2)];
+                const c = indices[i + 2 - (i % 2)];
+                if (a !== b && b !== c && a !== c) list.push(a, b, c);
+            }
+            return { indices: new Uint32Array(list), mode: PRIMITIVE_MODE.TRIANGLES };
+        case PRIMITIVE_MODE.TRIANGLE_FAN:
+            for (let i = 1; i + 1 < n; i++) {
+                list.push(indices[i], indices[i + 1], indices[0]);
+            }
+            return { indices: new Uint32Array(list), mode: PRIMITIVE_MODE.TRIANGLES };
+        case PRIMITIVE_MODE.LINE_STRIP:
+        case PRIMITIVE_MODE.LINE_LOOP:
+            for (let i = 0; i + 1 < n; i++) {
+                list.push(indices[i], indices[i + 1]);
+            }
+            if (mode === PRIMITIVE_MODE.LINE_LOOP && n > 2) {
+                list.push(indices[n - 1], indices[0]);
+            }
+            return { indices: new Uint32Array(list), mode: PRIMITIVE_MODE.LINES };
+        default:
+            return { indices, mode };
+    }
+}
+
+/**
+ * Drop unreferenced vertices and renumber the rest in first-use order
+ * compactMesh only accepts triangle lists; a fetch-only reorderMesh computes the same remap for any list.
+ */
+function compactIndices(indices, mode) {
+    return mode === PRIMITIVE_MODE.TRIANGLES
+        ? MeshoptSimplifier.compactMesh(indices)
+        : MeshoptEncoder.reorderMesh(indices, false, false);
+}
+
+/**
+ * Decimate a point cloud, weighing COLOR_0 alongside positions when present
+ * @returns {Uint32Array} Indices of the points to keep
+ */
+function simplifyPointCloud(primitive, positions, targetCount) {
+    const vertexCount = positions.length / 3;
+    if (targetCount >= vertexCount) {
+        return createDefaultIndices(vertexCount);
+    }
+
+    const colorAttr = primitive.attributes.COLOR_0;
+    if (colorAttr) {
+        const colorComponents = TYPE_COMPONENTS[colorAttr.accessor.type];
+        return MeshoptSimplifier.simplifyPoints(
+            positions,
+            3,
+            targetCount,
+            new Float32Array(colorAttr.data),
+            colorComponents,
+            1.0,
+        );
+    }
+
+    return MeshoptSimplifier.simplifyPoints(positions, 3, targetCount);
+}
+
+function remapAttribute(data, remap, numComponents, newCount) {
     const oldCount = data.length / numComponents;
-    const newCount = Math.max(...remap) + 1;
     const result = new data.constructor(newCount * numComponents);
 
     for (let i = 0; i < oldCount; i++) {
@@ -326,8 +587,76 @@ function remapAttribute(data, remap, numComponents) {
     return result;
 }
 
-function optimizeIndexBuffer(indices, vertexCount) {
-    if (vertexCount <= 255) {
+/**
+ * Remap every morph target delta attribute with a vertex remap table
+ */
+function remapTargets(targets, remap, newCount) {
+    return targets?.map((target) => {
+        const remapped = {};
+        for (const [name, attr] of Object.entries(target)) {
+            const numComponents = TYPE_COMPONENTS[attr.accessor.type];
+            remapped[name] = {
+                ...attr,
+                data: remapAttribute(new Float32Array(attr.data), remap, numComponents, newCount),
+            };
+        }
+        return remapped;
+    });
+}
+
+/**
+ * Encode morph target deltas to match the primitive's attribute encoding
+ */
+function optimizeMorphTarget(target, vertexCount, options, positionTransform) {
+    const result = {};
+
+    for (const [name, attr] of Object.entries(target)) {
+        const deltas = new Float32Array(attr.data);
+        const type = attr.accessor.type;
+
+        let quantized = null;
+        if (name === 'POSITION' && positionTransform) {
+            // Deltas must live in the same quantized space as the base positions
+            quantized = quantizeMorphPositions(deltas, positionTransform.scale, options.positionBits);
+        } else if ((name === 'NORMAL' && options.quantizeNormals) || (name === 'TANGENT' && options.quantizeTangents)) {
+            quantized = quantizeMorphNormals(deltas);
+        }
+
+        result[name] = quantized
+            ? {
+                  data: quantized.quantized,
+                  componentType: quantized.componentType,
+                  type,
+                  count: vertexCount,
+                  normalized: quantized.normalized,
+              }
+            : { data: deltas, componentType: GL.FLOAT, type, count: vertexCount };
+
+        // POSITION accessors, including morph targets, require min/max
+        if (name === 'POSITION') {
+            result[name].min = computeMin(result[name].data, 3);
+            result[name].max = computeMax(result[name].data, 3);
+        }
+    }
+
+    return result;
+}
+
+function getTargetBytes(targets) {
+    let bytes = 0;
+    for (const target of targets || []) {
+        for (const attr of Object.values(target)) {
+            bytes += attr.data.byteLength;
+        }
+    }
+    return bytes;
+}
+
+/**
+ * Store indices in the smallest type that fits; byte indices are valid glTF but some engines reject them
+ */
+function optimizeIndexBuffer(indices, vertexCount, allowBytes = true) {
+    if (vertexCount <= 255 && allowBytes) {
         const result = new Uint8Array(indices.length);
         for (let i = 0; i < indices.length; i++) {
             result[i] = indices[i];
@@ -355,7 +684,7 @@ function calculateOriginalBytes(primitive) {
         bytes += attr.data.byteLength;
     }
 
-    return bytes;
+    return bytes + getTargetBytes(primitive.targets);
 }
 
 function calculateOptimizedBytes(result) {
@@ -366,10 +695,18 @@ function calculateOptimizedBytes(result) {
     }
 
     for (const attr of Object.values(result.attributes)) {
-        bytes += attr.data.byteLength;
+        bytes += getAttributeByteLength(attr);
     }
 
-    return bytes;
+    return bytes + getTargetBytes(result.targets);
+}
+
+/**
+ * Size of an attribute as written: filtered attributes carry float data but are stored at the filter's stride
+ */
+function getAttributeByteLength(attr) {
+    if (attr.filter === 'OCTAHEDRAL') return attr.count * (attr.filterBits > 8 ? 8 : 4);
+    return attr.data.byteLength;
 }
 
 function computeMin(data, numComponents) {
@@ -399,7 +736,7 @@ function computeMax(data, numComponents) {
 }
 
 /**
- * Simplify a mesh primitive to a target triangle ratio
+ * Simplify a mesh primitive to a target triangle ratio; diagnostics go to options.log (default console.log)
  */
 export function simplifyPrimitive(primitive, targetRatio, errorThreshold = 0.02, options = {}) {
     if (!MeshoptSimplifier.supported) {
@@ -415,21 +752,34 @@ export function simplifyPrimitive(primitive, targetRatio, errorThreshold = 0.02,
     const positions = new Float32Array(posAttr.data);
     const vertexCount = positions.length / 3;
 
-    const indices = primitive.indices ? new Uint32Array(primitive.indices) : createDefaultIndices(vertexCount);
+    const { indices, mode } = toListIndices(
+        primitive.indices ? new Uint32Array(primitive.indices) : createDefaultIndices(vertexCount),
+        primitive.mode,
+    );
 
-    const originalTriangleCount = indices.length / 3;
+    const isTriangles = mode === PRIMITIVE_MODE.TRIANGLES;
+    const originalTriangleCount = isTriangles ? indices.length / 3 : 0;
     const targetIndexCount = Math.floor(indices.length * targetRatio);
     const targetIndexCountAligned = Math.max(3, Math.floor(targetIndexCount / 3) * 3);
 
     let simplifiedIndices, resultError;
+    const log = options.log || console.log;
 
-    console.log('Simplify options:', {
+    log('Simplify options:', {
+        mode,
         textureAware: options.textureAware,
         hasImportance: !!options.textureImportance,
         threshold: options.importanceThreshold,
     });
 
-    if (options.textureAware && options.textureImportance) {
+    if (mode === PRIMITIVE_MODE.POINTS) {
+        simplifiedIndices = simplifyPointCloud(primitive, positions, Math.floor(vertexCount * targetRatio));
+        resultError = 0;
+    } else if (!isTriangles) {
+        // meshoptimizer has no line simplifier; line sets are kept as-is
+        simplifiedIndices = indices;
+        resultError = 0;
+    } else if (options.textureAware && options.textureImportance) {
         const uvAttr = primitive.attributes.TEXCOORD_0;
         const uvs = uvAttr ? new Float32Array(uvAttr.data) : null;
 
@@ -463,11 +813,11 @@ export function simplifyPrimitive(primitive, targetRatio, errorThreshold = 0.02,
         }
 
         const lockedCount = Array.from(vertexLock).filter((v) => v).length;
-        console.log(
+        log(
             `Texture-aware: ${uvSeams.size} UV seams detected, ${lockedCount}/${vertexCount} vertices locked (${((lockedCount / vertexCount) * 100).toFixed(1)}%)`,
         );
     } else {
-        console.log('Standard simplification (texture-aware disabled or no importance data)');
+        log('Standard simplification (texture-aware disabled or no importance data)');
         [simplifiedIndices, resultError] = MeshoptSimplifier.simplify(
             indices,
             positions,
@@ -478,15 +828,15 @@ export function simplifyPrimitive(primitive, targetRatio, errorThreshold = 0.02,
         );
     }
 
-    const newTriangleCount = simplifiedIndices.length / 3;
+    const newTriangleCount = isTriangles ? simplifiedIndices.length / 3 : 0;
 
-    const [remap, uniqueCount] = MeshoptSimplifier.compactMesh(simplifiedIndices);
+    const [remap, uniqueCount] = compactIndices(simplifiedIndices, mode);
 
     const newAttributes = {};
     for (const [name, attr] of Object.entries(primitive.attributes)) {
         const numComponents = TYPE_COMPONENTS[attr.accessor.type];
-        const oldData = new Float32Array(attr.data);
-        const newData = new Float32Array(uniqueCount * numComponents);
+        const oldData = attr.data;
+        const newData = new oldData.constructor(uniqueCount * numComponents);
 
         for (let oldIdx = 0; oldIdx < vertexCount; oldIdx++) {
             const newIdx = remap[oldIdx];
@@ -503,16 +853,21 @@ export function simplifyPrimitive(primitive, targetRatio, errorThreshold = 0.02,
         };
     }
 
+    const originalCount = isTriangles ? originalTriangleCount : vertexCount;
+    const newCount = isTriangles ? newTriangleCount : uniqueCount;
+
     return {
         ...primitive,
+        mode,
         attributes: newAttributes,
+        targets: remapTargets(primitive.targets, remap, uniqueCount),
         indices: simplifiedIndices,
         stats: {
             originalTriangles: originalTriangleCount,
             simplifiedTriangles: newTriangleCount,
             originalVertices: vertexCount,
             simplifiedVertices: uniqueCount,
-            reduction: `${((1 - newTriangleCount / originalTriangleCount) * 100).toFixed(1)}%`,
+            reduction: `${((1 - newCount / originalCount) * 100).toFixed(1)}%`,
             error: resultError,
         },
     };
@@ -520,15 +875,29 @@ export function simplifyPrimitive(primitive, targetRatio, errorThreshold = 0.02,
 
 /**
  * Generate LOD chain for a parsed GLB
+ *
+ * options.onProgress(fraction, text), if set, is called after every primitive of the importance
+ * analysis and of each LOD level, with the fraction of the chain completed so far.
+ * Diagnostics go to options.log(...args), or console.log when it is not set.
+ *
+ * With options.instanceMeshes, repeated meshes become EXT_mesh_gpu_instancing nodes first (see instance.js),
+ * and with options.joinMeshes, static mesh instances that share a material are merged (see join.js), so
+ * every level is simplified and written from the resulting scene.
  */
 export async function generateLODChain(
-    parsedGLB,
+    sourceGLB,
     levels = [0.9, 0.75, 0.5, 0.25],
-    options = DEFAULT_OPTIONS,
+    chainOptions = DEFAULT_OPTIONS,
     glbArrayBuffer = null,
 ) {
+    const options = resolveCompatibilityOptions(chainOptions);
     const lodChain = [];
+    const instancedGLB = options.instanceMeshes ? instanceMeshes(sourceGLB) : sourceGLB;
+    const parsedGLB = options.joinMeshes ? joinMeshes(instancedGLB) : instancedGLB;
+    const renumbered = parsedGLB !== sourceGLB;
     const originalPrimitives = parsedGLB.getAllPrimitives();
+    const originalDrawCallCount = countDrawCalls(sourceGLB.json);
+    const drawCallCount = countDrawCalls(parsedGLB.json);
 
     const errorThreshold = options.lodErrorThreshold || 0.02;
     const textureAware = options.textureAware === true;
@@ -536,34 +905,36 @@ export async function generateLODChain(
     const textureImportanceMap = new Map();
     const textureCache = {};
 
-    let viewImportanceResult = options.viewImportanceResult || null;
+    // View importance is keyed by source primitive, which instancing and joining renumber
+    let viewImportanceResult = renumbered ? null : options.viewImportanceResult || null;
 
-    console.log(
-        'generateLODChain: textureAware =',
-        textureAware,
-        '(from options.textureAware =',
-        options.textureAware,
-        ')',
-    );
+    const onProgress = options.onProgress || (() => {});
+    const log = options.log || console.log;
+    const totalSteps = (textureAware ? originalPrimitives.length : 0) + levels.length * (originalPrimitives.length + 1);
+    let completedSteps = 0;
+    const step = (text) => onProgress(++completedSteps / totalSteps, text);
+
+    log('generateLODChain: textureAware =', textureAware, '(from options.textureAware =', options.textureAware, ')');
 
     if (textureAware) {
-        if (!viewImportanceResult && glbArrayBuffer) {
+        if (!viewImportanceResult && glbArrayBuffer && !renumbered) {
             try {
-                console.log('Running view-based importance analysis...');
+                log('Running view-based importance analysis...');
+                onProgress(0, 'Analyzing view importance...');
                 viewImportanceResult = await analyzeViewImportance(glbArrayBuffer);
-                console.log('View-based analysis complete, meshes analyzed:', viewImportanceResult.perVertex.size);
+                log('View-based analysis complete, meshes analyzed:', viewImportanceResult.perVertex.size);
             } catch (err) {
                 console.warn('View-based analysis failed, falling back to texture-only:', err);
             }
         } else if (viewImportanceResult) {
-            console.log('Using pre-computed view importance, meshes:', viewImportanceResult.perVertex.size);
+            log('Using pre-computed view importance, meshes:', viewImportanceResult.perVertex.size);
         }
 
-        console.log('Computing texture importance for', originalPrimitives.length, 'primitives...');
+        log('Computing texture importance for', originalPrimitives.length, 'primitives...');
         for (let i = 0; i < originalPrimitives.length; i++) {
             const prim = originalPrimitives[i];
             try {
-                const textureImportance = await analyzeTextureImportance(prim, parsedGLB, textureCache);
+                const textureImportance = await analyzeTextureImportance(prim, parsedGLB, textureCache, log);
 
                 const viewImportance = viewImportanceResult?.perVertex.get(i) || null;
 
@@ -573,31 +944,44 @@ export async function generateLODChain(
 
                     const hasTexture = textureImportance ? 'yes' : 'no';
                     const hasView = viewImportance ? 'yes' : 'no';
-                    console.log(
+                    log(
                         `Primitive ${i}: texture=${hasTexture}, view=${hasView}, merged ${merged?.length || 0} vertices`,
                     );
                 }
             } catch (err) {
                 console.warn(`Failed to compute importance for primitive ${i}:`, err);
             }
+            step(`Analyzing texture importance (${i + 1}/${originalPrimitives.length})...`);
         }
     }
 
+    if (options.quantizeUVs) {
+        planUVQuantization(originalPrimitives, parsedGLB.json);
+    }
+
+    const optimizedAnimations = options.optimizeAnimations !== false ? optimizeAnimations(parsedGLB, options) : null;
+
     for (const targetRatio of levels) {
-        const simplifiedPrimitives = originalPrimitives.map((prim, primIndex) =>
-            simplifyPrimitive(prim, targetRatio, errorThreshold, {
+        const levelPercent = `${Math.round(targetRatio * 100)}%`;
+        const simplifiedPrimitives = originalPrimitives.map((prim, primIndex) => {
+            const simplified = simplifyPrimitive(prim, targetRatio, errorThreshold, {
                 textureAware: textureAware && textureImportanceMap.has(primIndex),
                 textureImportance: textureImportanceMap.get(primIndex),
                 importanceThreshold: options.importanceThreshold || 0.5,
-            }),
-        );
+                log,
+            });
+            step(`Simplifying LOD ${levelPercent} (${primIndex + 1}/${originalPrimitives.length})...`);
+            return simplified;
+        });
 
         const simplifiedGLB = {
             ...parsedGLB,
             getAllPrimitives: () => simplifiedPrimitives,
+            optimizedAnimations,
         };
 
         const optimized = optimizeGLB(simplifiedGLB, options);
+        step(`Optimized LOD ${levelPercent}`);
 
         let totalTriangles = 0;
         let totalOriginalTriangles = 0;
@@ -610,11 +994,16 @@ export async function generateLODChain(
 
         lodChain.push({
             level: targetRatio,
-            levelPercent: `${Math.round(targetRatio * 100)}%`,
+            levelPercent,
             optimizedData: optimized,
             triangleCount: totalTriangles,
             originalTriangleCount: totalOriginalTriangles,
-            triangleReduction: `${((1 - totalTriangles / totalOriginalTriangles) * 100).toFixed(1)}%`,
+            drawCallCount,
+            originalDrawCallCount,
+            triangleReduction:
+                totalOriginalTriangles > 0
+                    ? `${((1 - totalTriangles / totalOriginalTriangles) * 100).toFixed(1)}%`
+                    : '0.0%',
         });
     }
 
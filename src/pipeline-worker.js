@@ -0,0 +1,109 @@
+/**
+ * Pipeline Worker - Runs LOD generation, texture processing and GLB writing off the main thread
+ *
+ * Receives { buffer, levels, options } with the GLB bytes transferred in, and posts back:
+ * - { type: 'progress', percent, text } while working
+ * - { type: 'result', lods, bundle, processedImageCount, ... } with every GLB buffer transferred out,
+ *   the input's validation report and one per LOD
+ * - { type: 'error', message } on failure
+ *
+ * Cancellation is handled by the caller terminating the worker (see pipeline.js).
+ */
+
+import { parseGLB } from './glb-parser.js';
+import { writeGLB, writeLODBundle } from './glb-writer.js';
+import { generateLODChain, initOptimizer } from './optimizer.js';
+import { processTextures } from './texture-utils.js';
+import { validateGLTF } from './validator.js';
+
+// Share of the progress bar given to each stage; the rest goes to LOD generation
+const TEXTURE_PROGRESS = 5;
+const WRITE_PROGRESS = 15;
+
+self.onmessage = async (event) => {
+    const { buffer, levels, options } = event.data;
+
+    try {
+        const report = (percent, text) => self.postMessage({ type: 'progress', percent, text });
+        const lodProgress = 100 - TEXTURE_PROGRESS - WRITE_PROGRESS;
+
+        report(0, 'Initializing...');
+        await initOptimizer();
+
+        const parsedGLB = parseGLB(buffer);
+
+        report(0, 'Validating input...');
+        const inputValidation = validateGLTF(parsedGLB);
+
+        const lodChain = await generateLODChain(
+            parsedGLB,
+            levels,
+            {
+                ...options,
+                onProgress: (fraction, text) => report(fraction * lodProgress, text),
+            },
+            buffer,
+        );
+
+        report(lodProgress, 'Processing textures...');
+        const processedImages = await processTextures(parsedGLB, options);
+
+        // Every LOD prunes and merges the same data; keep the first report
+        let pruneStats = null;
+        let dedupeStats = null;
+        let filterStats = null;
+        const writeOptions = {
+            ...options,
+            onPrune: (removed) => {
+                pruneStats ??= removed;
+            },
+            onDeduplicate: (stats) => {
+                dedupeStats ??= stats;
+            },
+            onFilter: (stats) => {
+                filterStats ??= stats;
+            },
+        };
+
+        const lods = [];
+        for (let i = 0; i < lodChain.length; i++) {
+            const lod = lodChain[i];
+            report(100 - WRITE_PROGRESS + (i / lodChain.length) * WRITE_PROGRESS, `Writing LOD ${lod.levelPercent}...`);
+            const glb = writeGLB(lod.optimizedData, writeOptions, processedImages);
+            lods.push({
+                level: lod.level,
+                levelPercent: lod.levelPercent,
+                triangleCount: lod.triangleCount,
+                triangleReduction: lod.triangleReduction,
+                drawCallCount: lod.drawCallCount,
+                originalDrawCallCount: lod.originalDrawCallCount,
+                glb,
+                validation: validateGLTF(parseGLB(glb)),
+            });
+        }
+
+        const bundle = lodChain.length >= 2 ? writeLODBundle(lodChain, writeOptions, processedImages) : null;
+
+        report(100, 'Complete!');
+
+        const transfer = lods.map((lod) => lod.glb);
+        if (bundle) transfer.push(bundle);
+
+        self.postMessage(
+            {
+                type: 'result',
+                lods,
+                bundle,
+                processedImageCount: processedImages ? processedImages.size : 0,
+                pruneStats,
+                dedupeStats,
+                filterStats,
+                inputValidation,
+                animationStats: lodChain[0]?.optimizedData.stats.attributes.ANIMATION ?? null,
+            },
+            transfer,
+        );
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};
@@ -0,0 +1,61 @@
+/**
+ * Pipeline - Main-thread client for the optimization worker
+ *
+ * Each run gets a fresh worker. Aborting the signal terminates the worker immediately,
+ * so cancellation does not wait for a long simplification pass to return.
+ */
+
+/**
+ * Run the optimization pipeline in a Web Worker
+ * @param {ArrayBuffer} arrayBuffer - Input GLB (copied; the caller keeps its buffer)
+ * @param {number[]} levels - LOD ratios, highest detail first
+ * @param {Object} options - Optimizer and writer options (must be structured-cloneable)
+ * @param {Object} [callbacks]
+ * @param {function(number, string): void} [callbacks.onProgress] - Called with a percentage and a status text
+ * @param {AbortSignal} [callbacks.signal] - Aborts the run, rejecting with the signal's reason
+ * @returns {Promise<{lods: Object[], bundle: ArrayBuffer|null, processedImageCount: number,
+ *     pruneStats: Object|null, dedupeStats: Object|null, filterStats: Object|null, inputValidation: Object,
+ *     animationStats: Object|null}>} Each LOD carries its GLB and its validation report (see validateGLTF)
+ */
+export function runPipeline(arrayBuffer, levels, options, { onProgress, signal } = {}) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+
+        const worker = new Worker(new URL('./pipeline-worker.js', import.meta.url), { type: 'module' });
+
+        const finish = () => {
+            worker.terminate();
+            signal?.removeEventListener('abort', onAbort);
+        };
+
+        const onAbort = () => {
+            finish();
+            reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort);
+
+        worker.onmessage = (event) => {
+            const message = event.data;
+            if (message.type === 'progress') {
+                onProgress?.(message.percent, message.text);
+            } else if (message.type === 'result') {
+                finish();
+                resolve(message);
+            } else if (message.type === 'error') {
+                finish();
+                reject(new Error(message.message));
+            }
+        };
+
+        worker.onerror = (event) => {
+            finish();
+            reject(new Error(event.message || 'Optimization worker failed to start'));
+        };
+
+        const buffer = arrayBuffer.slice(0);
+        worker.postMessage({ buffer, levels, options }, [buffer]);
+    });
+}
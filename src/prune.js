@@ -0,0 +1,258 @@
+/**
+ * Prune - Removes data that no scene reaches
+ *
+ * Walks from the scenes through nodes, meshes, skins, materials and textures down to images,
+ * accessors and buffer views, then drops everything not visited and renumbers the references.
+ * Animation channels that target removed nodes go with them. A file without scenes is treated
+ * as a library and left as it is: its meshes, materials and animations need not hang off a node.
+ */
+
+import { forEachTextureSlot } from './glb-parser.js';
+
+// Top-level arrays that are pruned, in report order
+const PRUNED_TYPES = [
+    'nodes',
+    'meshes',
+    'materials',
+    'textures',
+    'samplers',
+    'images',
+    'cameras',
+    'skins',
+    'animations',
+    'accessors',
+    'bufferViews',
+];
+
+/**
+ * Remove unreachable nodes, meshes, materials, textures, samplers, images, cameras, skins,
+ * animations, accessors and buffer views
+ * @param {Object} json - glTF JSON (modified in place)
+ * @param {Object} [options]
+ * @param {boolean} [options.keepMaterials] - Keep materials no mesh uses, for engines that look materials up by name
+ * @returns {Object<string, number>} Number of removed entries by top-level array name (empty without scenes)
+ */
+export function pruneUnused(json, { keepMaterials = false } = {}) {
+    if (!json.scenes?.length) return {};
+
+    const used = Object.fromEntries(PRUNED_TYPES.map((type) => [type, new Set()]));
+    const nodes = json.nodes || [];
+
+    function visitNode(index) {
+        if (used.nodes.has(index)) return;
+        used.nodes.add(index);
+
+        const node = nodes[index];
+        for (const child of node.children || []) visitNode(child);
+        // MSFT_lod levels are referenced by id rather than as children
+        for (const id of node.extensions?.MSFT_lod?.ids || []) visitNode(id);
+        for (const accessor of getInstanceAccessors(node)) used.accessors.add(accessor);
+        if (node.mesh !== undefined) used.meshes.add(node.mesh);
+        if (node.camera !== undefined) used.cameras.add(node.camera);
+        if (node.skin !== undefined) visitSkin(node.skin);
+    }
+
+    function visitSkin(index) {
+        if (used.skins.has(index)) return;
+        used.skins.add(index);
+
+        const skin = json.skins[index];
+        if (skin.inverseBindMatrices !== undefined) used.accessors.add(skin.inverseBindMatrices);
+        if (skin.skeleton !== undefined) visitNode(skin.skeleton);
+        for (const joint of skin.joints) visitNode(joint);
+    }
+
+    for (const root of json.scenes.flatMap((scene) => scene.nodes || [])) visitNode(root);
+
+    for (const meshIndex of used.meshes) {
+        for (const prim of json.meshes[meshIndex].primitives) {
+            if (prim.material !== undefined) used.materials.add(prim.material);
+            for (const mapping of prim.extensions?.KHR_materials_variants?.mappings || []) {
+                used.materials.add(mapping.material);
+            }
+            for (const accessor of getPrimitiveAccessors(prim)) used.accessors.add(accessor);
+        }
+    }
+
+    if (keepMaterials) {
+        (json.materials || []).forEach((_, i) => used.materials.add(i));
+    }
+
+    for (const materialIndex of used.materials) {
+        forEachTextureSlot(json.materials[materialIndex], (slot) => used.textures.add(slot.index));
+    }
+
+    for (const textureIndex of used.textures) {
+        const texture = json.textures[textureIndex];
+        if (texture.sampler !== undefined) used.samplers.add(texture.sampler);
+        for (const image of getTextureImages(texture)) used.images.add(image);
+    }
+
+    (json.animations || []).forEach((animation, i) => {
+        // Channels without a node (e.g. KHR_animation_pointer) are kept as they are
+        animation.channels = animation.channels.filter(
+            (channel) => channel.target.node === undefined || used.nodes.has(channel.target.node),
+        );
+        if (animation.channels.length === 0) return;
+        used.animations.add(i);
+
+        const samplerRemap = new Map();
+        const samplers = [];
+        for (const channel of animation.channels) {
+            if (!samplerRemap.has(channel.sampler)) {
+                samplerRemap.set(channel.sampler, samplers.length);
+                samplers.push(animation.samplers[channel.sampler]);
+            }
+            channel.sampler = samplerRemap.get(channel.sampler);
+        }
+        animation.samplers = samplers;
+
+        for (const sampler of samplers) {
+            used.accessors.add(sampler.input);
+            used.accessors.add(sampler.output);
+        }
+    });
+
+    for (const accessorIndex of used.accessors) {
+        const accessor = json.accessors[accessorIndex];
+        if (accessor.bufferView !== undefined) used.bufferViews.add(accessor.bufferView);
+        if (accessor.sparse) {
+            used.bufferViews.add(accessor.sparse.indices.bufferView);
+            used.bufferViews.add(accessor.sparse.values.bufferView);
+        }
+    }
+
+    for (const imageIndex of used.images) {
+        const image = json.images[imageIndex];
+        if (image.bufferView !== undefined) used.bufferViews.add(image.bufferView);
+    }
+
+    const removed = {};
+    const remap = {};
+    for (const type of PRUNED_TYPES) {
+        const entries = json[type] || [];
+        remap[type] = new Map();
+        const kept = [];
+        entries.forEach((entry, i) => {
+            if (!used[type].has(i)) return;
+            remap[type].set(i, kept.length);
+            kept.push(entry);
+        });
+        // glTF does not allow empty top-level arrays
+        if (kept.length > 0) {
+            json[type] = kept;
+        } else {
+            delete json[type];
+        }
+        removed[type] = entries.length - kept.length;
+    }
+
+    renumberReferences(json, remap);
+    return removed;
+}
+
+/**
+ * Point every reference at the new index of its target
+ */
+function renumberReferences(json, remap) {
+    const node = (i) => remap.nodes.get(i);
+    const accessor = (i) => remap.accessors.get(i);
+    const bufferView = (i) => remap.bufferViews.get(i);
+
+    for (const scene of json.scenes || []) {
+        if (scene.nodes) scene.nodes = scene.nodes.map(node);
+    }
+
+    for (const n of json.nodes || []) {
+        if (n.children) n.children = n.children.map(node);
+        if (n.extensions?.MSFT_lod) n.extensions.MSFT_lod.ids = n.extensions.MSFT_lod.ids.map(node);
+        const instancing = n.extensions?.EXT_mesh_gpu_instancing;
+        for (const name of Object.keys(instancing?.attributes || {})) {
+            instancing.attributes[name] = accessor(instancing.attributes[name]);
+        }
+        if (n.mesh !== undefined) n.mesh = remap.meshes.get(n.mesh);
+        if (n.camera !== undefined) n.camera = remap.cameras.get(n.camera);
+        if (n.skin !== undefined) n.skin = remap.skins.get(n.skin);
+    }
+
+    for (const skin of json.skins || []) {
+        skin.joints = skin.joints.map(node);
+        if (skin.skeleton !== undefined) skin.skeleton = node(skin.skeleton);
+        if (skin.inverseBindMatrices !== undefined) skin.inverseBindMatrices = accessor(skin.inverseBindMatrices);
+    }
+
+    for (const animation of json.animations || []) {
+        for (const channel of animation.channels) {
+            if (channel.target.node !== undefined) channel.target.node = node(channel.target.node);
+        }
+        for (const sampler of animation.samplers) {
+            sampler.input = accessor(sampler.input);
+            sampler.output = accessor(sampler.output);
+        }
+    }
+
+    for (const mesh of json.meshes || []) {
+        for (const prim of mesh.primitives) {
+            if (prim.material !== undefined) prim.material = remap.materials.get(prim.material);
+            for (const mapping of prim.extensions?.KHR_materials_variants?.mappings || []) {
+                mapping.material = remap.materials.get(mapping.material);
+            }
+            for (const name of Object.keys(prim.attributes)) prim.attributes[name] = accessor(prim.attributes[name]);
+            if (prim.indices !== undefined) prim.indices = accessor(prim.indices);
+            for (const target of prim.targets || []) {
+                for (const name of Object.keys(target)) target[name] = accessor(target[name]);
+            }
+        }
+    }
+
+    for (const material of json.materials || []) {
+        forEachTextureSlot(material, (slot) => {
+            slot.index = remap.textures.get(slot.index);
+        });
+    }
+
+    for (const texture of json.textures || []) {
+        if (texture.sampler !== undefined) texture.sampler = remap.samplers.get(texture.sampler);
+        if (texture.source !== undefined) texture.source = remap.images.get(texture.source);
+        for (const extension of Object.values(texture.extensions || {})) {
+            if (typeof extension?.source === 'number') extension.source = remap.images.get(extension.source);
+        }
+    }
+
+    for (const a of json.accessors || []) {
+        if (a.bufferView !== undefined) a.bufferView = bufferView(a.bufferView);
+        if (a.sparse) {
+            a.sparse.indices.bufferView = bufferView(a.sparse.indices.bufferView);
+            a.sparse.values.bufferView = bufferView(a.sparse.values.bufferView);
+        }
+    }
+
+    for (const image of json.images || []) {
+        if (image.bufferView !== undefined) image.bufferView = bufferView(image.bufferView);
+    }
+}
+
+/**
+ * Accessors holding a node's EXT_mesh_gpu_instancing transforms
+ */
+function getInstanceAccessors(node) {
+    return Object.values(node.extensions?.EXT_mesh_gpu_instancing?.attributes || {});
+}
+
+function getPrimitiveAccessors(prim) {
+    const accessors = Object.values(prim.attributes);
+    if (prim.indices !== undefined) accessors.push(prim.indices);
+    for (const target of prim.targets || []) accessors.push(...Object.values(target));
+    return accessors;
+}
+
+/**
+ * Images a texture uses: its source and the sources of image format extensions (KTX2, WebP, AVIF)
+ */
+function getTextureImages(texture) {
+    const images = texture.source !== undefined ? [texture.source] : [];
+    for (const extension of Object.values(texture.extensions || {})) {
+        if (typeof extension?.source === 'number') images.push(extension.source);
+    }
+    return images;
+}
@@ -4,8 +4,12 @@
  * Supports:
  * - Position quantization: Float32 → Int16 (2 bytes) or Int8 (1 byte)
  * - Normal quantization: Float32 VEC3 → Int8 VEC3 normalized
- * - UV quantization: Float32 → Uint16 normalized
+ * - UV quantization: Float32 → Uint16 normalized, over a range undone with KHR_texture_transform
  * - Tangent quantization: Float32 VEC4 → Int8 VEC4 normalized
+ * - Morph target deltas: positions in the quantized position space, normals/tangents → Int8 normalized
+ * - Skin weights: renormalized, then Float32 → Uint8 normalized with an exact sum of 255
+ * - EXT_meshopt_compression filters: normals/tangents (octahedral), rotations (quaternion) and float
+ *   positions/UVs (exponential) stay float here and are encoded by the writer while compressing
  */
 
 import { GL } from './glb-parser.js';
@@ -75,6 +79,10 @@ export function quantizePositions(positions, bits = 16) {
         quantized[i * 3 + 2] = Math.max(-maxValue, Math.min(maxValue, quantized[i * 3 + 2]));
     }
 
+    // Flat dimensions quantize to 0, so the accessor bounds are not always [-maxValue, maxValue]
+    const quantizedMin = [0, 1, 2].map((c) => (range[c] > 0 ? -maxValue : 0));
+    const quantizedMax = [0, 1, 2].map((c) => (range[c] > 0 ? maxValue : 0));
+
     // For glTF, we need to provide the transform that converts quantized back to original
     // The formula is: original = quantized * scale + center
     // In glTF terms: original = quantized * scale + translation
@@ -87,8 +95,8 @@ export function quantizePositions(positions, bits = 16) {
         center,
         componentType,
         // For accessor min/max (in quantized space)
-        quantizedMin: [-maxValue, -maxValue, -maxValue],
-        quantizedMax: [maxValue, maxValue, maxValue],
+        quantizedMin,
+        quantizedMax,
     };
 }
 
@@ -131,107 +139,58 @@ export function quantizeNormals(normals) {
 }
 
 /**
- * Quantize normals using octahedral encoding (optional, more aggressive)
- * Note: This produces VEC2 output which requires shader support
- * Not used by default for KHR_mesh_quantization compatibility
+ * Compute the range texture coordinates are normalized over before quantization
+ * UVs already in [0, 1] keep the identity mapping; anything else is mapped from its bounding box.
  *
- * @param {Float32Array} normals - Input normals (x,y,z triplets)
- * @returns {Object} { quantized: Int8Array (VEC2), componentType, normalized }
+ * @param {Float32Array} uvs - Input UVs (u,v pairs)
+ * @returns {Object} { offset, scale } such that uv = normalized * scale + offset
  */
-export function quantizeNormalsOctahedral(normals) {
-    const count = normals.length / 3;
-    const quantized = new Int8Array(count * 2);
-
-    for (let i = 0; i < count; i++) {
-        let nx = normals[i * 3];
-        let ny = normals[i * 3 + 1];
-        let nz = normals[i * 3 + 2];
-
-        // Normalize
-        const len = Math.sqrt(nx * nx + ny * ny + nz * nz);
-        if (len > 0) {
-            nx /= len;
-            ny /= len;
-            nz /= len;
-        }
-
-        // Octahedral encoding
-        const absSum = Math.abs(nx) + Math.abs(ny) + Math.abs(nz);
-        let ox = nx / absSum;
-        let oy = ny / absSum;
+export function computeUVTransform(uvs) {
+    let minU = Infinity,
+        maxU = -Infinity;
+    let minV = Infinity,
+        maxV = -Infinity;
 
-        if (nz < 0) {
-            const oldOx = ox;
-            ox = (1 - Math.abs(oy)) * (ox >= 0 ? 1 : -1);
-            oy = (1 - Math.abs(oldOx)) * (oy >= 0 ? 1 : -1);
-        }
+    for (let i = 0; i < uvs.length; i += 2) {
+        minU = Math.min(minU, uvs[i]);
+        maxU = Math.max(maxU, uvs[i]);
+        minV = Math.min(minV, uvs[i + 1]);
+        maxV = Math.max(maxV, uvs[i + 1]);
+    }
 
-        quantized[i * 2] = Math.round(ox * 127);
-        quantized[i * 2 + 1] = Math.round(oy * 127);
+    if (uvs.length === 0 || (minU >= 0 && maxU <= 1 && minV >= 0 && maxV <= 1)) {
+        return { offset: [0, 0], scale: [1, 1] };
     }
 
-    return {
-        quantized,
-        componentType: GL.BYTE,
-        type: 'VEC2',
-        normalized: true,
-    };
+    return { offset: [minU, minV], scale: [maxU - minU || 1, maxV - minV || 1] };
+}
+
+/**
+ * Whether a UV transform from computeUVTransform is the identity mapping
+ */
+export function isIdentityUVTransform(transform) {
+    const { offset, scale } = transform;
+    return offset[0] === 0 && offset[1] === 0 && scale[0] === 1 && scale[1] === 1;
 }
 
 /**
  * Quantize texture coordinates from Float32 to Uint16 normalized
+ * A non-identity transform has to be undone by the material (KHR_texture_transform) when rendering.
  *
  * @param {Float32Array} uvs - Input UVs (u,v pairs)
- * @returns {Object} { quantized: Uint16Array, componentType, normalized }
+ * @param {Object} [transform] - Range from computeUVTransform, possibly shared with other primitives
+ * @returns {Object} { quantized: Uint16Array, componentType, normalized, offset, scale }
  */
-export function quantizeUVs(uvs) {
-    const count = uvs.length / 2;
+export function quantizeUVs(uvs, transform = computeUVTransform(uvs)) {
     const quantized = new Uint16Array(uvs.length);
-
-    // Find UV range
-    let minU = Infinity,
-        maxU = -Infinity;
-    let minV = Infinity,
-        maxV = -Infinity;
-
-    for (let i = 0; i < count; i++) {
-        const u = uvs[i * 2];
-        const v = uvs[i * 2 + 1];
-        minU = Math.min(minU, u);
-        maxU = Math.max(maxU, u);
-        minV = Math.min(minV, v);
-        maxV = Math.max(maxV, v);
-    }
-
-    // Check if UVs are in [0,1] range (common case)
-    const inStandardRange = minU >= 0 && maxU <= 1 && minV >= 0 && maxV <= 1;
-
-    if (inStandardRange) {
-        // Simple case: direct mapping to [0, 65535]
-        for (let i = 0; i < count; i++) {
-            quantized[i * 2] = Math.round(uvs[i * 2] * 65535);
-            quantized[i * 2 + 1] = Math.round(uvs[i * 2 + 1] * 65535);
-        }
-
-        return {
-            quantized,
-            componentType: GL.UNSIGNED_SHORT,
-            type: 'VEC2',
-            normalized: true,
-            min: [0, 0],
-            max: [1, 1],
-        };
-    }
-
-    // Extended range: need to normalize
-    const rangeU = maxU - minU || 1;
-    const rangeV = maxV - minV || 1;
-
-    for (let i = 0; i < count; i++) {
-        const u = (uvs[i * 2] - minU) / rangeU;
-        const v = (uvs[i * 2 + 1] - minV) / rangeV;
-        quantized[i * 2] = Math.round(u * 65535);
-        quantized[i * 2 + 1] = Math.round(v * 65535);
+    const [offsetU, offsetV] = transform.offset;
+    const [scaleU, scaleV] = transform.scale;
+
+    for (let i = 0; i < uvs.length; i += 2) {
+        const u = (uvs[i] - offsetU) / scaleU;
+        const v = (uvs[i + 1] - offsetV) / scaleV;
+        quantized[i] = Math.round(Math.min(Math.max(u, 0), 1) * 65535);
+        quantized[i + 1] = Math.round(Math.min(Math.max(v, 0), 1) * 65535);
     }
 
     return {
@@ -239,11 +198,8 @@ export function quantizeUVs(uvs) {
         componentType: GL.UNSIGNED_SHORT,
         type: 'VEC2',
         normalized: true,
-        min: [minU, minV],
-        max: [maxU, maxV],
-        // These are needed to reconstruct original UVs
-        offset: [minU, minV],
-        scale: [rangeU, rangeV],
+        offset: transform.offset,
+        scale: transform.scale,
     };
 }
 
@@ -286,6 +242,151 @@ export function quantizeTangents(tangents) {
     };
 }
 
+/**
+ * Quantize morph target position deltas into the space of quantized positions
+ * Deltas are only scaled, never offset: the dequantization translation applies to the base position.
+ * Falls back to (scaled) Float32 when a delta does not fit the integer range.
+ *
+ * @param {Float32Array} deltas - Position deltas (x,y,z triplets)
+ * @param {number[]} scale - Per-axis scale returned by quantizePositions
+ * @param {number} bits - Bit depth used for the base positions (16 or 8)
+ * @returns {Object} { quantized, componentType, normalized }
+ */
+export function quantizeMorphPositions(deltas, scale, bits = 16) {
+    const use8Bit = bits === 8;
+    const maxValue = use8Bit ? 127 : 32767;
+
+    const scaled = new Float32Array(deltas.length);
+    let fits = true;
+    for (let i = 0; i < deltas.length; i++) {
+        scaled[i] = deltas[i] / scale[i % 3];
+        if (Math.abs(scaled[i]) > maxValue) fits = false;
+    }
+
+    if (!fits) {
+        return { quantized: scaled, componentType: GL.FLOAT, normalized: false };
+    }
+
+    const quantized = use8Bit ? new Int8Array(deltas.length) : new Int16Array(deltas.length);
+    for (let i = 0; i < deltas.length; i++) {
+        quantized[i] = Math.round(scaled[i]);
+    }
+
+    return { quantized, componentType: use8Bit ? GL.BYTE : GL.SHORT, normalized: false };
+}
+
+/**
+ * Quantize morph target normal or tangent deltas to Int8 normalized
+ * Deltas between two unit vectors can reach 2 in magnitude, which normalized
+ * bytes cannot represent, so those targets stay Float32.
+ *
+ * @param {Float32Array} deltas - Normal or tangent deltas (x,y,z triplets)
+ * @returns {Object|null} { quantized: Int8Array, componentType, normalized }, or null if out of range
+ */
+export function quantizeMorphNormals(deltas) {
+    for (let i = 0; i < deltas.length; i++) {
+        if (Math.abs(deltas[i]) > 1) return null;
+    }
+
+    const quantized = new Int8Array(deltas.length);
+    for (let i = 0; i < deltas.length; i++) {
+        quantized[i] = Math.round(deltas[i] * 127);
+    }
+
+    return { quantized, componentType: GL.BYTE, normalized: true };
+}
+
+/**
+ * Renormalize skin weights so every vertex's weights sum to 1
+ * Sums span all WEIGHTS_n sets, since a vertex's influences may be split across several of them.
+ * Vertices without any weight are left untouched.
+ *
+ * @param {Float32Array[]} weightSets - WEIGHTS_0, WEIGHTS_1, ... (VEC4 each)
+ * @returns {Float32Array[]} Normalized copies, in the same order
+ */
+export function normalizeWeights(weightSets) {
+    const normalized = weightSets.map((weights) => new Float32Array(weights));
+    const vertexCount = normalized.length > 0 ? normalized[0].length / 4 : 0;
+
+    for (let v = 0; v < vertexCount; v++) {
+        let sum = 0;
+        for (const weights of normalized) {
+            for (let c = 0; c < 4; c++) sum += weights[v * 4 + c];
+        }
+        if (sum <= 0) continue;
+
+        for (const weights of normalized) {
+            for (let c = 0; c < 4; c++) weights[v * 4 + c] /= sum;
+        }
+    }
+
+    return normalized;
+}
+
+/**
+ * Quantize normalized skin weights to Uint8 normalized
+ * Rounding error is folded into each vertex's largest weight so the quantized weights still sum to exactly 1.
+ *
+ * @param {Float32Array[]} weightSets - Normalized WEIGHTS_n sets (VEC4 each)
+ * @returns {Object[]} { quantized: Uint8Array, componentType, normalized } per set
+ */
+export function quantizeWeights(weightSets) {
+    const quantized = weightSets.map((weights) => new Uint8Array(weights.length));
+    const vertexCount = weightSets.length > 0 ? weightSets[0].length / 4 : 0;
+
+    for (let v = 0; v < vertexCount; v++) {
+        let sum = 0;
+        let maxSet = 0;
+        let maxIndex = v * 4;
+
+        for (let s = 0; s < weightSets.length; s++) {
+            for (let c = 0; c < 4; c++) {
+                const i = v * 4 + c;
+                quantized[s][i] = Math.round(Math.min(Math.max(weightSets[s][i], 0), 1) * 255);
+                sum += quantized[s][i];
+                if (quantized[s][i] > quantized[maxSet][maxIndex]) {
+                    maxSet = s;
+                    maxIndex = i;
+                }
+            }
+        }
+
+        if (sum > 0) {
+            quantized[maxSet][maxIndex] += 255 - sum;
+        }
+    }
+
+    return quantized.map((data) => ({ quantized: data, componentType: GL.UNSIGNED_BYTE, normalized: true }));
+}
+
+// Option names turning each EXT_meshopt_compression filter on, and setting its bit count
+// within the range the encoder accepts
+const FILTER_OPTIONS = {
+    OCTAHEDRAL: { enabled: 'octahedralFilter', bits: 'octahedralFilterBits', defaultBits: 8, range: [2, 16] },
+    QUATERNION: { enabled: 'quaternionFilter', bits: 'quaternionFilterBits', defaultBits: 12, range: [4, 16] },
+    EXPONENTIAL: { enabled: 'exponentialFilter', bits: 'exponentialFilterBits', defaultBits: 16, range: [1, 24] },
+};
+
+/**
+ * Filter settings to attach to an attribute, or null when the filter is off.
+ * Filters are applied while compressing, so they also need meshopt compression.
+ * Throws if the bit count is outside the range the filter supports.
+ *
+ * @param {string} filter - OCTAHEDRAL, QUATERNION or EXPONENTIAL
+ * @param {Object} options - Optimizer options
+ * @returns {{filter: string, filterBits: number}|null}
+ */
+export function getMeshoptFilter(filter, options) {
+    const { enabled, bits, defaultBits, range } = FILTER_OPTIONS[filter];
+    if (options.meshoptCompression === false || options[enabled] === false) return null;
+
+    const filterBits = options[bits] || defaultBits;
+    if (!Number.isInteger(filterBits) || filterBits < range[0] || filterBits > range[1]) {
+        throw new Error(`${bits} must be an integer from ${range[0]} to ${range[1]}, got ${filterBits}`);
+    }
+    return { filter, filterBits };
+}
+
 /**
  * Calculate the compression ratio for each quantization type
  */
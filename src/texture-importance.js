@@ -5,6 +5,8 @@
  * then maps importance back to mesh vertices via UV coordinates.
  */
 
+import { decodeImage } from './image-codec.js';
+
 /**
  * Texture type weights - normal maps weighted 2x per user decision
  */
@@ -16,41 +18,6 @@ const TEXTURE_WEIGHTS = {
     emissive: 0.5,
 };
 
-/**
- * Load image data into ImageData for pixel access
- * @param {Uint8Array} imageBytes - Raw image bytes
- * @param {string} mimeType - Image MIME type
- * @returns {Promise<{imageData: ImageData, width: number, height: number}>}
- */
-async function loadImageData(imageBytes, mimeType) {
-    return new Promise((resolve, reject) => {
-        const blob = new Blob([imageBytes], { type: mimeType });
-        const url = URL.createObjectURL(blob);
-        const img = new Image();
-
-        img.onload = () => {
-            URL.revokeObjectURL(url);
-
-            const canvas = document.createElement('canvas');
-            canvas.width = img.width;
-            canvas.height = img.height;
-
-            const ctx = canvas.getContext('2d');
-            ctx.drawImage(img, 0, 0);
-
-            const imageData = ctx.getImageData(0, 0, img.width, img.height);
-            resolve({ imageData, width: img.width, height: img.height });
-        };
-
-        img.onerror = () => {
-            URL.revokeObjectURL(url);
-            reject(new Error('Failed to load image'));
-        };
-
-        img.src = url;
-    });
-}
-
 /**
  * Compute Sobel edge magnitude at a specific pixel
  */
@@ -123,9 +90,9 @@ function colorVariance(data, width, height, x, y, radius = 2) {
 /**
  * Build an importance map for a texture
  */
-function buildImportanceMap(imageData, width, height) {
+function buildImportanceMap(pixels, width, height) {
     const importance = new Float32Array(width * height);
-    const data = imageData.data;
+    const data = pixels.data;
 
     for (let y = 0; y < height; y++) {
         for (let x = 0; x < width; x++) {
@@ -170,10 +137,10 @@ function sampleImportance(importanceMap, width, height, u, v) {
 }
 
 /**
- * Analyze texture importance and return per-vertex importance values
+ * Analyze texture importance and return per-vertex importance values, logging diagnostics through log
  */
-export async function analyzeTextureImportance(primitive, parsedGLB, textureCache = {}) {
-    const { json, binChunk } = parsedGLB;
+export async function analyzeTextureImportance(primitive, parsedGLB, textureCache = {}, log = console.log) {
+    const { json } = parsedGLB;
 
     const posAttr = primitive.attributes.POSITION;
     if (!posAttr) {
@@ -185,7 +152,7 @@ export async function analyzeTextureImportance(primitive, parsedGLB, textureCach
 
     const uvAttr = primitive.attributes.TEXCOORD_0;
     if (!uvAttr) {
-        console.log('No UVs found, cannot compute texture importance');
+        log('No UVs found, cannot compute texture importance');
         return null;
     }
 
@@ -245,7 +212,7 @@ export async function analyzeTextureImportance(primitive, parsedGLB, textureCach
     }
 
     if (textureInfos.length === 0) {
-        console.log('No textures on material');
+        log('No textures on material');
         return null;
     }
 
@@ -262,21 +229,14 @@ export async function analyzeTextureImportance(primitive, parsedGLB, textureCach
         let loaded = textureCache[imageIndex];
 
         if (!loaded) {
-            let imageBytes = null;
-            const mimeType = image.mimeType || 'image/png';
-
-            if (image.bufferView !== undefined) {
-                const bufferView = json.bufferViews[image.bufferView];
-                const byteOffset = bufferView.byteOffset || 0;
-                const byteLength = bufferView.byteLength;
-                imageBytes = new Uint8Array(binChunk, byteOffset, byteLength);
-            }
+            const imageBytes = parsedGLB.getImageData(imageIndex);
+            const mimeType = parsedGLB.getImageMimeType(imageIndex);
 
             if (!imageBytes) continue;
 
             try {
-                loaded = await loadImageData(imageBytes, mimeType);
-                loaded.importanceMap = buildImportanceMap(loaded.imageData, loaded.width, loaded.height);
+                loaded = await decodeImage(imageBytes, mimeType);
+                loaded.importanceMap = buildImportanceMap(loaded, loaded.width, loaded.height);
                 textureCache[imageIndex] = loaded;
             } catch (err) {
                 console.warn(`Failed to load image ${imageIndex}:`, err);
@@ -327,10 +287,10 @@ export async function analyzeTextureImportance(primitive, parsedGLB, textureCach
         if (importance[v] > 0.7) above70++;
     }
 
-    console.log(
+    log(
         `Texture importance stats: min=${minImportance.toFixed(4)}, max=${maxImportance.toFixed(4)}, avg=${avgImportance.toFixed(4)}`,
     );
-    console.log(
+    log(
         `Vertices above threshold: >0.3: ${above30}/${vertexCount}, >0.5: ${above50}/${vertexCount}, >0.7: ${above70}/${vertexCount}`,
     );
 
@@ -2,41 +2,55 @@
  * Texture Utilities - Analysis and resizing for GLB textures
  */
 
+import { resolveCompatibilityOptions } from './compatibility.js';
+import {
+    decodeImage,
+    encodeImage,
+    encodeKTX2,
+    readImageSize,
+    resizeEncodedImage,
+    sniffMimeType,
+} from './image-codec.js';
+
+// Usage types holding non-color data, encoded without the sRGB transfer function
+const LINEAR_USAGE_TYPES = new Set(['normal', 'metallicRoughness', 'occlusion']);
+
+const LOSSY_MIME_TYPES = new Set(['image/jpeg', 'image/webp', 'image/avif']);
+
+/**
+ * Default resize rules: detail maps (normal, ORM) rarely need more than 1024px, color maps 2048px.
+ * Power-of-two snapping gets full mipmapping everywhere, but rounds sizes down, so it is opt-in.
+ * A max size of 0 means no limit.
+ */
+export const DEFAULT_RESIZE_RULES = {
+    textureMaxSize: 2048,
+    textureMaxDetailSize: 1024,
+    texturePowerOfTwo: false,
+};
+
+// Re-encoding targets; formats outside the core glTF spec are referenced through a texture extension
+const IMAGE_FORMATS = {
+    jpeg: { mimeType: 'image/jpeg', extension: null },
+    webp: { mimeType: 'image/webp', extension: 'EXT_texture_webp' },
+    avif: { mimeType: 'image/avif', extension: 'EXT_texture_avif' },
+};
+
 /**
  * Extract texture information from parsed GLB
  * @param {Object} parsedGLB - Output from parseGLB
  * @returns {Promise<Object[]>} Array of texture info objects
  */
 export async function analyzeTextures(parsedGLB) {
-    const { json, binChunk } = parsedGLB;
+    const { json } = parsedGLB;
     const textures = [];
 
     if (!json.images) return textures;
 
     for (let i = 0; i < json.images.length; i++) {
         const image = json.images[i];
-        let imageData = null;
-        let mimeType = image.mimeType || 'image/png';
-
-        if (image.bufferView !== undefined) {
-            // Embedded image
-            const bufferView = json.bufferViews[image.bufferView];
-            const byteOffset = bufferView.byteOffset || 0;
-            const byteLength = bufferView.byteLength;
-            imageData = new Uint8Array(binChunk, byteOffset, byteLength);
-        } else if (image.uri?.startsWith('data:')) {
-            // Base64 embedded
-            const match = image.uri.match(/^data:([^;]+);base64,(.+)$/);
-            if (match) {
-                mimeType = match[1];
-                const base64 = match[2];
-                const binary = atob(base64);
-                imageData = new Uint8Array(binary.length);
-                for (let j = 0; j < binary.length; j++) {
-                    imageData[j] = binary.charCodeAt(j);
-                }
-            }
-        }
+        // Embedded, data: URI or external file; null when an external file was not provided
+        const imageData = parsedGLB.getImageData(i);
+        const mimeType = parsedGLB.getImageMimeType(i);
 
         if (imageData) {
             // Decode image to get dimensions
@@ -63,26 +77,18 @@ export async function analyzeTextures(parsedGLB) {
 }
 
 /**
- * Get image dimensions by decoding the image
+ * Get image dimensions from the header, decoding the image if the header is not recognized
  */
 async function getImageDimensions(imageData, mimeType) {
-    return new Promise((resolve) => {
-        const blob = new Blob([imageData], { type: mimeType });
-        const url = URL.createObjectURL(blob);
-        const img = new Image();
-
-        img.onload = () => {
-            URL.revokeObjectURL(url);
-            resolve({ width: img.width, height: img.height });
-        };
-
-        img.onerror = () => {
-            URL.revokeObjectURL(url);
-            resolve({ width: 0, height: 0 });
-        };
-
-        img.src = url;
-    });
+    const size = readImageSize(imageData);
+    if (size) return size;
+
+    try {
+        const decoded = await decodeImage(imageData, mimeType);
+        return { width: decoded.width, height: decoded.height };
+    } catch {
+        return { width: 0, height: 0 };
+    }
 }
 
 /**
@@ -148,7 +154,8 @@ function generateRecommendations(dimensions, byteLength, usage) {
     }
 
     // Check for oversized textures
-    if (width > 2048 || height > 2048) {
+    const { textureMaxSize, textureMaxDetailSize } = DEFAULT_RESIZE_RULES;
+    if (width > textureMaxSize || height > textureMaxSize) {
         recommendations.push({
             type: 'suggestion',
             message: `Large texture (${width}x${height}). Consider reducing for better performance.`,
@@ -156,10 +163,7 @@ function generateRecommendations(dimensions, byteLength, usage) {
     }
 
     // Check for potentially oversized based on usage
-    const isNormalOrORM = usage.some(
-        (u) => u.type === 'normal' || u.type === 'metallicRoughness' || u.type === 'occlusion',
-    );
-    if (isNormalOrORM && (width > 1024 || height > 1024)) {
+    if (isDetailMap(usage) && (width > textureMaxDetailSize || height > textureMaxDetailSize)) {
         recommendations.push({
             type: 'suggestion',
             message: `Detail map at ${width}x${height}. Often 512-1024 is sufficient.`,
@@ -180,112 +184,227 @@ function generateRecommendations(dimensions, byteLength, usage) {
 }
 
 /**
- * Resize an image to a target scale
+ * Whether an image holds non-color detail data (normal, metallic-roughness or occlusion)
+ */
+function isDetailMap(usage) {
+    return usage.some((u) => LINEAR_USAGE_TYPES.has(u.type));
+}
+
+/**
+ * Choose the output size of a texture
+ *
+ * A per-image size replaces the global scale and the max size rule for that image; 0 keeps
+ * the original size. Power-of-two snapping rounds each side down to a power of two, so a texture never grows
+ * past its source or scaled size.
+ *
+ * @param {Object} texture - Entry from analyzeTextures
+ * @param {Object} [options]
+ * @param {number} [options.textureScale] - Scale factor (1.0 = original, 0.5 = half)
+ * @param {number} [options.textureMaxSize] - Max width/height of color maps (0 = no limit)
+ * @param {number} [options.textureMaxDetailSize] - Max width/height of normal and ORM maps (0 = no limit)
+ * @param {boolean} [options.texturePowerOfTwo] - Snap sizes to powers of two
+ * @param {Object<number, number>} [options.imageSizes] - Per-image max sizes by image index
+ * @returns {{width: number, height: number}} Target size
+ */
+export function getTargetSize(texture, options = {}) {
+    const {
+        textureScale = 1.0,
+        textureMaxSize = 0,
+        textureMaxDetailSize = 0,
+        texturePowerOfTwo = false,
+        imageSizes = {},
+    } = options;
+    const { width, height } = texture;
+    const override = imageSizes[texture.index];
+
+    if (!width || !height || override === 0) return { width, height };
+
+    const maxSize = override ?? (isDetailMap(texture.usage) ? textureMaxDetailSize : textureMaxSize);
+    let scale = override === undefined ? textureScale : 1.0;
+    if (maxSize > 0) scale = Math.min(scale, maxSize / Math.max(width, height));
+    scale = Math.min(scale, 1.0);
+
+    const target = {
+        width: Math.max(1, Math.floor(width * scale)),
+        height: Math.max(1, Math.floor(height * scale)),
+    };
+
+    if (texturePowerOfTwo) {
+        for (const axis of ['width', 'height']) target[axis] = 2 ** Math.floor(Math.log2(target[axis]));
+    }
+
+    return target;
+}
+
+/**
+ * Resize an image to a target size
  * @param {Uint8Array} imageData - Original image bytes
  * @param {string} mimeType - Image MIME type
- * @param {number} scale - Scale factor (0.5 = half size)
+ * @param {number} width - Target width
+ * @param {number} height - Target height
  * @returns {Promise<{data: Uint8Array, width: number, height: number}>}
  */
-export async function resizeImage(imageData, mimeType, scale) {
-    if (scale >= 1) {
-        const dims = await getImageDimensions(imageData, mimeType);
-        return { data: imageData, width: dims.width, height: dims.height };
+export async function resizeImage(imageData, mimeType, width, height) {
+    const dims = await getImageDimensions(imageData, mimeType);
+    if (dims.width === width && dims.height === height) {
+        return { data: imageData, width, height };
     }
 
-    return new Promise((resolve, reject) => {
-        const blob = new Blob([imageData], { type: mimeType });
-        const url = URL.createObjectURL(blob);
-        const img = new Image();
-
-        img.onload = () => {
-            URL.revokeObjectURL(url);
-
-            const newWidth = Math.max(1, Math.floor(img.width * scale));
-            const newHeight = Math.max(1, Math.floor(img.height * scale));
-
-            // Create canvas and draw scaled image
-            const canvas = document.createElement('canvas');
-            canvas.width = newWidth;
-            canvas.height = newHeight;
-
-            const ctx = canvas.getContext('2d');
-            ctx.imageSmoothingEnabled = true;
-            ctx.imageSmoothingQuality = 'high';
-            ctx.drawImage(img, 0, 0, newWidth, newHeight);
-
-            // Export as same format (or JPEG for better compression)
-            const outputType = mimeType === 'image/jpeg' ? 'image/jpeg' : 'image/png';
-            const quality = mimeType === 'image/jpeg' ? 0.9 : undefined;
-
-            canvas.toBlob(
-                (blob) => {
-                    if (!blob) {
-                        reject(new Error('Failed to encode resized image'));
-                        return;
-                    }
-
-                    const reader = new FileReader();
-                    reader.onload = () => {
-                        resolve({
-                            data: new Uint8Array(reader.result),
-                            width: newWidth,
-                            height: newHeight,
-                        });
-                    };
-                    reader.onerror = reject;
-                    reader.readAsArrayBuffer(blob);
-                },
-                outputType,
-                quality,
-            );
-        };
-
-        img.onerror = () => {
-            URL.revokeObjectURL(url);
-            reject(new Error('Failed to load image for resizing'));
-        };
-
-        img.src = url;
-    });
+    // Keep the source format, so a resized JPEG does not turn into a much larger PNG
+    const outputType = sniffMimeType(imageData, mimeType);
+    const quality = LOSSY_MIME_TYPES.has(outputType) ? 0.9 : undefined;
+
+    const data = await resizeEncodedImage(imageData, mimeType, width, height, outputType, quality);
+    return { data, width, height };
 }
 
 /**
- * Process all images in a GLB with optional resizing
+ * Process all images in a GLB with optional resizing and transcoding
+ *
+ * Map values are either replacement image bytes, or for transcoded formats an object
+ * { data, mimeType, extension, fallback } that the writer stores as a texture extension
+ * source next to the fallback image (or alone when fallback is null).
+ *
  * @param {Object} parsedGLB - Output from parseGLB
- * @param {number} scale - Scale factor (1.0 = original, 0.5 = half)
- * @returns {Promise<Map<number, Uint8Array>>} Map of image index to new image data
+ * @param {Object} [options] - Resize options (see getTargetSize), and:
+ * @param {string} [options.textureFormat] - Output format: 'original', 'jpeg', 'webp', 'avif' or 'ktx2'
+ * @param {Object<number, string>} [options.imageFormats] - Per-image format overrides by image index
+ * @param {number} [options.textureQuality] - Quality for JPEG, WebP and AVIF (0-1)
+ * @param {boolean} [options.textureFallback] - Keep a PNG/JPEG fallback next to WebP/AVIF images
+ *     (always kept with options.compatibilityMode)
+ * @param {Function} [options.onResize] - Called with {index, from, to} sizes for every resized image
+ * @returns {Promise<Map<number, Uint8Array|Object>>} Map of image index to new image data
  */
-export async function processTextures(parsedGLB, scale = 1.0) {
-    const { json, binChunk } = parsedGLB;
+export async function processTextures(parsedGLB, options = {}) {
+    const {
+        textureFormat = 'original',
+        imageFormats = {},
+        textureQuality: quality = 0.8,
+        textureFallback = true,
+    } = resolveCompatibilityOptions(options);
+    const { json } = parsedGLB;
     const processedImages = new Map();
 
-    if (!json.images || scale >= 1.0) return processedImages;
+    if (!json.images) return processedImages;
 
     for (let i = 0; i < json.images.length; i++) {
-        const image = json.images[i];
-        let imageData = null;
-        const mimeType = image.mimeType || 'image/png';
-
-        if (image.bufferView !== undefined) {
-            const bufferView = json.bufferViews[image.bufferView];
-            const byteOffset = bufferView.byteOffset || 0;
-            const byteLength = bufferView.byteLength;
-            imageData = new Uint8Array(binChunk, byteOffset, byteLength);
-        }
+        const imageData = parsedGLB.getImageData(i);
+        const mimeType = parsedGLB.getImageMimeType(i);
+        const format = imageFormats[i] ?? textureFormat;
 
-        if (imageData) {
+        if (!imageData) continue;
+
+        const usage = findImageUsage(json, i);
+        const dimensions = await getImageDimensions(imageData, mimeType);
+        const target = getTargetSize({ index: i, ...dimensions, usage }, options);
+        const resize = target.width !== dimensions.width || target.height !== dimensions.height;
+
+        if (!resize && format === 'original') continue;
+
+        let image = imageData;
+        if (resize) {
             try {
-                const resized = await resizeImage(imageData, mimeType, scale);
-                processedImages.set(i, resized.data);
+                image = (await resizeImage(imageData, mimeType, target.width, target.height)).data;
+                processedImages.set(i, image);
+                options.onResize?.({ index: i, from: dimensions, to: target });
             } catch (err) {
                 console.warn(`Failed to resize image ${i}:`, err);
             }
         }
+
+        const sourceType = sniffMimeType(image, mimeType);
+
+        if (format === 'ktx2' && sourceType !== 'image/ktx2') {
+            try {
+                processedImages.set(i, {
+                    data: await encodeKTX2(image, sourceType, getKTX2Encoding(usage)),
+                    mimeType: 'image/ktx2',
+                    extension: 'KHR_texture_basisu',
+                    fallback: image,
+                });
+            } catch (err) {
+                console.warn(`Failed to encode image ${i} to KTX2:`, err);
+            }
+        } else if (IMAGE_FORMATS[format] && IMAGE_FORMATS[format].mimeType !== sourceType) {
+            try {
+                const transcoded = await transcodeImage(image, sourceType, format, quality, usage);
+                if (transcoded && IMAGE_FORMATS[format].extension) {
+                    processedImages.set(i, {
+                        data: transcoded,
+                        mimeType: IMAGE_FORMATS[format].mimeType,
+                        extension: IMAGE_FORMATS[format].extension,
+                        fallback: textureFallback ? image : null,
+                    });
+                } else if (transcoded) {
+                    processedImages.set(i, transcoded);
+                }
+            } catch (err) {
+                console.warn(`Failed to encode image ${i} to ${format.toUpperCase()}:`, err);
+            }
+        }
     }
 
     return processedImages;
 }
 
+/**
+ * Re-encode an image as JPEG, WebP or AVIF. Normal maps are stored losslessly, as lossy
+ * artifacts show up directly in the lighting; JPEG has no lossless mode or alpha channel,
+ * so normal maps and images with transparency keep their format (returns null).
+ */
+async function transcodeImage(image, mimeType, format, quality, usage) {
+    const isNormalMap = usage.some((u) => u.type === 'normal');
+    if (format === 'jpeg' && isNormalMap) return null;
+
+    const pixels = await decodeImage(image, mimeType);
+    if (format === 'jpeg' && hasTransparency(pixels)) return null;
+
+    return encodeImage(pixels, IMAGE_FORMATS[format].mimeType, quality, { lossless: isNormalMap });
+}
+
+function hasTransparency(pixels) {
+    for (let i = 3; i < pixels.data.length; i += 4) {
+        if (pixels.data[i] < 255) return true;
+    }
+    return false;
+}
+
+/**
+ * Choose the Basis encoding for an image: UASTC for normal maps, which ETC1S blurs badly,
+ * and ETC1S for everything else. Non-color maps are encoded as linear data.
+ * @param {Object[]} usage - Output of findImageUsage
+ * @returns {{uastc: boolean, srgb: boolean}} Encoder settings
+ */
+export function getKTX2Encoding(usage) {
+    return {
+        uastc: usage.some((u) => u.type === 'normal'),
+        srgb: !usage.some((u) => LINEAR_USAGE_TYPES.has(u.type)),
+    };
+}
+
+/**
+ * Estimate the GPU memory of a texture, including a full mip chain
+ *
+ * Uncompressed images upload as RGBA8. KTX2 transcodes to a block format: UASTC to BC7/ASTC
+ * (1 byte per pixel), ETC1S to BC1/ETC1 (half a byte) unless it may carry alpha (BC3/ETC2, 1 byte).
+ *
+ * @param {Object} texture - Entry from analyzeTextures
+ * @param {string} format - Output format; only 'ktx2' changes the upload format
+ * @param {{width: number, height: number}} [size] - Size after resizing (default: the texture's own)
+ * @returns {number} Estimated bytes
+ */
+export function estimateGPUMemory(texture, format = 'original', size = texture) {
+    const pixels = size.width * size.height;
+    let bytesPerPixel = 4;
+
+    if (format === 'ktx2' || texture.mimeType === 'image/ktx2') {
+        const { uastc } = getKTX2Encoding(texture.usage);
+        bytesPerPixel = uastc || texture.mimeType !== 'image/jpeg' ? 1 : 0.5;
+    }
+
+    return Math.round(((pixels * 4) / 3) * bytesPerPixel);
+}
+
 /**
  * Format bytes to human readable string
  */
@@ -294,3 +413,13 @@ export function formatBytes(bytes) {
     if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
     return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
 }
+
+/**
+ * List non-zero counts of plural names, e.g. "2 nodes, 1 mesh"
+ */
+export function formatCounts(counts) {
+    return Object.entries(counts)
+        .filter(([, count]) => count > 0)
+        .map(([name, count]) => `${count} ${count === 1 ? name.replace(/(?<=sh)es$|s$/, '') : name}`)
+        .join(', ');
+}
@@ -0,0 +1,1335 @@
+/**
+ * Validator - Checks a glTF asset for the problems that break loaders
+ *
+ * Covers the JSON structure, references between objects, buffer and accessor bounds, vertex
+ * data alignment, accessor min/max against the data, index ranges, animation samplers and
+ * extension declarations, including EXT_meshopt_compression layouts. It is not a full port of
+ * the Khronos glTF-Validator: material values, image contents and the schemas of most extensions
+ * are not checked. Issue codes follow the Khronos ones where the check is the same.
+ */
+
+import { needsMeshQuantization } from './compatibility.js';
+import { COMPONENT_SIZE, GL, TYPE_COMPONENTS } from './glb-parser.js';
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+// Top-level arrays, which must not be empty when present
+const TOP_LEVEL_ARRAYS = [
+    'accessors',
+    'animations',
+    'buffers',
+    'bufferViews',
+    'cameras',
+    'images',
+    'materials',
+    'meshes',
+    'nodes',
+    'samplers',
+    'scenes',
+    'skins',
+    'textures',
+];
+
+// Top-level arrays of extension names, which must not be empty when present either
+const EXTENSION_LISTS = ['extensionsUsed', 'extensionsRequired'];
+
+// Properties every entry of a top-level array must have
+const REQUIRED_PROPERTIES = {
+    accessors: ['componentType', 'count', 'type'],
+    animations: ['channels', 'samplers'],
+    buffers: ['byteLength'],
+    bufferViews: ['buffer', 'byteLength'],
+    cameras: ['type'],
+    meshes: ['primitives'],
+    skins: ['joints'],
+};
+
+const BUFFER_VIEW_TARGETS = [34962, 34963];
+const ELEMENT_ARRAY_BUFFER = 34963;
+const INDEX_COMPONENT_TYPES = [GL.UNSIGNED_BYTE, GL.UNSIGNED_SHORT, GL.UNSIGNED_INT];
+const PRIMITIVE_RESTART = { [GL.UNSIGNED_BYTE]: 0xff, [GL.UNSIGNED_SHORT]: 0xffff, [GL.UNSIGNED_INT]: 0xffffffff };
+
+// Accessor types allowed per attribute semantic (without the _n set index)
+const ATTRIBUTE_TYPES = {
+    POSITION: ['VEC3'],
+    NORMAL: ['VEC3'],
+    TANGENT: ['VEC4'],
+    TEXCOORD: ['VEC2'],
+    COLOR: ['VEC3', 'VEC4'],
+    JOINTS: ['VEC4'],
+    WEIGHTS: ['VEC4'],
+};
+const TARGET_TYPES = { ...ATTRIBUTE_TYPES, TANGENT: ['VEC3'] };
+const INSTANCE_TYPES = { TRANSLATION: ['VEC3'], ROTATION: ['VEC4'], SCALE: ['VEC3'] };
+
+const ANIMATION_OUTPUT_TYPES = { translation: 'VEC3', rotation: 'VEC4', scale: 'VEC3', weights: 'SCALAR' };
+const INTERPOLATIONS = ['LINEAR', 'STEP', 'CUBICSPLINE'];
+
+const MAG_FILTERS = [9728, 9729];
+const MIN_FILTERS = [9728, 9729, 9984, 9985, 9986, 9987];
+const WRAP_MODES = [33071, 33648, 10497];
+const ALPHA_MODES = ['OPAQUE', 'MASK', 'BLEND'];
+
+// Elements per primitive for each mode, and the fewest elements a strip or loop needs
+const MODE_ELEMENTS = [
+    { multiple: 1, min: 1 },
+    { multiple: 2, min: 2 },
+    { multiple: 1, min: 2 },
+    { multiple: 1, min: 2 },
+    { multiple: 3, min: 3 },
+    { multiple: 1, min: 3 },
+    { multiple: 1, min: 3 },
+];
+
+// EXT_meshopt_compression byteStride rules per mode and filter
+const MESHOPT_MODES = ['ATTRIBUTES', 'TRIANGLES', 'INDICES'];
+const MESHOPT_FILTER_STRIDES = {
+    NONE: null,
+    OCTAHEDRAL: [4, 8],
+    QUATERNION: [8],
+    EXPONENTIAL: null,
+};
+
+// Texture extensions that point at an image through source
+const TEXTURE_SOURCE_EXTENSIONS = ['EXT_texture_webp', 'EXT_texture_avif', 'KHR_texture_basisu', 'MSFT_texture_dds'];
+
+// Extensions declared without an object in the JSON, which only change how data is read
+const DATA_EXTENSIONS = ['KHR_mesh_quantization'];
+
+/**
+ * Validate a parsed glTF asset
+ * @param {Object} model - Output from parseGLB or parseGLTF
+ * @returns {{issues: Object[], errors: number, warnings: number, infos: number}} Issues as
+ *     {severity: 'error'|'warning'|'info', code, message, pointer}, most severe first; pointer is
+ *     a JSON pointer to the offending property
+ */
+export function validateGLTF(model) {
+    const context = createContext(model);
+
+    if (checkAsset(context) && checkTopLevel(context)) {
+        checkBuffers(context);
+        checkBufferViews(context);
+        checkAccessors(context);
+        checkMeshes(context);
+        checkNodes(context);
+        checkScenes(context);
+        checkSkins(context);
+        checkAnimations(context);
+        checkTextures(context);
+        checkAccessorData(context);
+        checkExtensions(context);
+    }
+
+    const issues = context.issues.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+    const count = (severity) => issues.filter((issue) => issue.severity === severity).length;
+    return { issues, errors: count('error'), warnings: count('warning'), infos: count('info') };
+}
+
+/**
+ * Shared state: the issue list, reference lookups and a cache of accessor data
+ */
+function createContext(model) {
+    const { json } = model;
+    const issues = [];
+    const report = (severity, code, pointer, message) => issues.push({ severity, code, message, pointer });
+
+    // Buffer views and accessors whose layout checks passed, so their data can be read
+    const validBufferViews = new Set();
+    const readableAccessors = new Set();
+    const accessorData = new Map();
+
+    return {
+        model,
+        json,
+        issues,
+        report,
+        validBufferViews,
+        readableAccessors,
+
+        /**
+         * Look up json[collection][index] (or items[index]), reporting indices that do not resolve
+         * @returns {Object|undefined}
+         */
+        resolve(pointer, index, collection, items = json[collection]) {
+            if (!Number.isInteger(index) || index < 0 || !items || index >= items.length) {
+                report('error', 'UNRESOLVED_REFERENCE', pointer, `Unresolved reference: ${collection} ${index}`);
+                return undefined;
+            }
+            return items[index];
+        },
+
+        /**
+         * Read an accessor's raw values, or null when its layout is invalid or the data cannot be read
+         */
+        read(accessorIndex) {
+            if (!readableAccessors.has(accessorIndex)) return null;
+            if (!accessorData.has(accessorIndex)) {
+                let data = null;
+                try {
+                    data = model.getAccessorData(accessorIndex);
+                } catch (err) {
+                    report('error', 'ACCESSOR_DATA_UNREADABLE', `/accessors/${accessorIndex}`, err.message);
+                }
+                accessorData.set(accessorIndex, data);
+            }
+            return accessorData.get(accessorIndex);
+        },
+    };
+}
+
+function checkAsset({ json, report }) {
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+        report('error', 'INVALID_JSON', '', 'The glTF JSON is not an object');
+        return false;
+    }
+    if (!json.asset) {
+        report('error', 'UNDEFINED_PROPERTY', '/asset', 'Property asset must be defined');
+        return true;
+    }
+
+    const version = String(json.asset.version ?? '');
+    if (!version) {
+        report('error', 'UNDEFINED_PROPERTY', '/asset/version', 'Property version must be defined');
+    } else if (!/^2\.\d+$/.test(version)) {
+        report('error', 'UNKNOWN_ASSET_MAJOR_VERSION', '/asset/version', `Unsupported glTF version: ${version}`);
+    }
+    if (json.asset.minVersion !== undefined && json.asset.minVersion !== '2.0') {
+        report(
+            'error',
+            'UNKNOWN_ASSET_MINOR_VERSION',
+            '/asset/minVersion',
+            `Unsupported minVersion: ${json.asset.minVersion}`,
+        );
+    }
+    return true;
+}
+
+/**
+ * Check the top-level arrays and their required properties
+ * @returns {boolean} Whether every array holds objects, so the other checks can walk them
+ */
+function checkTopLevel({ json, report }) {
+    let walkable = true;
+    for (const name of TOP_LEVEL_ARRAYS) {
+        if (json[name] === undefined) continue;
+        if (!Array.isArray(json[name])) {
+            report('error', 'TYPE_MISMATCH', `/${name}`, `Property ${name} must be an array`);
+            walkable = false;
+            continue;
+        }
+        if (json[name].length === 0) {
+            report('error', 'EMPTY_ENTITY', `/${name}`, `Array ${name} must not be empty`);
+        }
+
+        json[name].forEach((item, i) => {
+            if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                report('error', 'TYPE_MISMATCH', `/${name}/${i}`, 'Entry must be an object');
+                walkable = false;
+                return;
+            }
+            for (const property of REQUIRED_PROPERTIES[name] || []) {
+                if (item[property] === undefined) {
+                    report('error', 'UNDEFINED_PROPERTY', `/${name}/${i}`, `Property ${property} must be defined`);
+                }
+            }
+        });
+    }
+
+    for (const name of EXTENSION_LISTS) {
+        if (json[name] === undefined) continue;
+        if (!Array.isArray(json[name]) || json[name].some((entry) => typeof entry !== 'string')) {
+            report('error', 'TYPE_MISMATCH', `/${name}`, `Property ${name} must be an array of strings`);
+            walkable = false;
+        } else if (json[name].length === 0) {
+            report('error', 'EMPTY_ENTITY', `/${name}`, `Array ${name} must not be empty`);
+        }
+    }
+
+    if (json.scene !== undefined) {
+        if (!Number.isInteger(json.scene) || json.scene < 0 || json.scene >= (json.scenes || []).length) {
+            report('error', 'UNRESOLVED_REFERENCE', '/scene', `Unresolved reference: scenes ${json.scene}`);
+        }
+    } else if (json.scenes?.length > 0) {
+        report('info', 'NO_DEFAULT_SCENE', '/scene', 'No default scene; loaders pick one themselves');
+    }
+    return walkable;
+}
+
+function checkBuffers({ model, json, report }) {
+    (json.buffers || []).forEach((buffer, i) => {
+        const pointer = `/buffers/${i}`;
+        const data = model.buffers?.[i];
+        const isFallback = buffer.extensions?.EXT_meshopt_compression?.fallback === true;
+
+        if (!Number.isInteger(buffer.byteLength) || buffer.byteLength < 1) {
+            report('error', 'VALUE_NOT_IN_RANGE', `${pointer}/byteLength`, `Invalid byteLength: ${buffer.byteLength}`);
+        }
+        if (data) {
+            if (data.byteLength < buffer.byteLength) {
+                report(
+                    'error',
+                    'BUFFER_BYTE_LENGTH_MISMATCH',
+                    pointer,
+                    `Buffer holds ${data.byteLength} bytes, byteLength is ${buffer.byteLength}`,
+                );
+            } else if (i === 0 && buffer.uri === undefined && data.byteLength > buffer.byteLength + 3) {
+                report(
+                    'warning',
+                    'BIN_CHUNK_TOO_BIG',
+                    pointer,
+                    `GLB BIN chunk holds ${data.byteLength - buffer.byteLength} bytes more than the buffer`,
+                );
+            }
+        } else if (buffer.uri === undefined && !isFallback) {
+            report('error', 'BUFFER_MISSING_DATA', pointer, 'Buffer has no uri and no GLB BIN chunk');
+        } else if (buffer.uri !== undefined) {
+            report(
+                'info',
+                'BUFFER_NOT_LOADED',
+                pointer,
+                'Fallback buffer file was not provided, so it was not checked',
+            );
+        }
+    });
+}
+
+function checkBufferViews(context) {
+    const { json, report, validBufferViews } = context;
+
+    (json.bufferViews || []).forEach((bufferView, i) => {
+        const pointer = `/bufferViews/${i}`;
+        const buffer = context.resolve(`${pointer}/buffer`, bufferView.buffer, 'buffers');
+        let valid = buffer !== undefined;
+
+        const byteOffset = bufferView.byteOffset || 0;
+        if (buffer && byteOffset + bufferView.byteLength > buffer.byteLength) {
+            report(
+                'error',
+                'BUFFER_VIEW_TOO_LONG',
+                pointer,
+                `Buffer view ends at byte ${byteOffset + bufferView.byteLength}, past buffer ${bufferView.buffer} (${buffer.byteLength} bytes)`,
+            );
+            valid = false;
+        }
+
+        const { byteStride } = bufferView;
+        if (byteStride !== undefined && (byteStride < 4 || byteStride > 252 || byteStride % 4 !== 0)) {
+            report(
+                'error',
+                'BUFFER_VIEW_INVALID_BYTE_STRIDE',
+                `${pointer}/byteStride`,
+                `Invalid byteStride: ${byteStride}`,
+            );
+            valid = false;
+        }
+        if (bufferView.target !== undefined && !BUFFER_VIEW_TARGETS.includes(bufferView.target)) {
+            report('error', 'VALUE_NOT_IN_LIST', `${pointer}/target`, `Invalid target: ${bufferView.target}`);
+        }
+
+        const meshopt = bufferView.extensions?.EXT_meshopt_compression;
+        if (
+            meshopt &&
+            !checkMeshoptView(context, meshopt, bufferView, `${pointer}/extensions/EXT_meshopt_compression`)
+        ) {
+            valid = false;
+        }
+
+        if (valid) validBufferViews.add(i);
+    });
+}
+
+/**
+ * Check an EXT_meshopt_compression buffer view: its compressed range, mode, filter and stride,
+ * and that the buffer view describes the decoded data
+ */
+function checkMeshoptView(context, meshopt, bufferView, pointer) {
+    const { report } = context;
+    const buffer = context.resolve(`${pointer}/buffer`, meshopt.buffer, 'buffers');
+    let valid = buffer !== undefined;
+
+    if (buffer && (meshopt.byteOffset || 0) + meshopt.byteLength > buffer.byteLength) {
+        report('error', 'BUFFER_VIEW_TOO_LONG', pointer, `Compressed data runs past buffer ${meshopt.buffer}`);
+        valid = false;
+    }
+
+    const { mode, byteStride, filter = 'NONE' } = meshopt;
+    if (!MESHOPT_MODES.includes(mode)) {
+        report('error', 'VALUE_NOT_IN_LIST', `${pointer}/mode`, `Invalid mode: ${mode}`);
+        return false;
+    }
+    if (!(filter in MESHOPT_FILTER_STRIDES) || (filter !== 'NONE' && mode !== 'ATTRIBUTES')) {
+        report('error', 'VALUE_NOT_IN_LIST', `${pointer}/filter`, `Invalid filter for ${mode}: ${filter}`);
+        return false;
+    }
+
+    const strideValid =
+        mode === 'ATTRIBUTES'
+            ? byteStride >= 4 &&
+              byteStride % 4 === 0 &&
+              byteStride <= 256 &&
+              (MESHOPT_FILTER_STRIDES[filter]?.includes(byteStride) ?? true)
+            : byteStride === 2 || byteStride === 4;
+    if (!strideValid) {
+        report(
+            'error',
+            'VALUE_NOT_IN_RANGE',
+            `${pointer}/byteStride`,
+            `Invalid byteStride for ${mode}/${filter}: ${byteStride}`,
+        );
+        valid = false;
+    }
+    if (mode === 'TRIANGLES' && meshopt.count % 3 !== 0) {
+        report(
+            'error',
+            'VALUE_NOT_IN_RANGE',
+            `${pointer}/count`,
+            `TRIANGLES count must be a multiple of 3: ${meshopt.count}`,
+        );
+        valid = false;
+    }
+
+    if (bufferView.byteLength !== meshopt.count * byteStride) {
+        report(
+            'error',
+            'MESHOPT_BUFFER_VIEW_LENGTH_MISMATCH',
+            pointer,
+            `Buffer view byteLength ${bufferView.byteLength} does not match the decoded size ${meshopt.count * byteStride}`,
+        );
+        valid = false;
+    }
+    return valid;
+}
+
+function checkAccessors(context) {
+    const { json, report, readableAccessors } = context;
+
+    (json.accessors || []).forEach((accessor, i) => {
+        const pointer = `/accessors/${i}`;
+        const componentSize = COMPONENT_SIZE[accessor.componentType];
+        const components = TYPE_COMPONENTS[accessor.type];
+
+        if (!componentSize) {
+            report(
+                'error',
+                'VALUE_NOT_IN_LIST',
+                `${pointer}/componentType`,
+                `Invalid componentType: ${accessor.componentType}`,
+            );
+        }
+        if (!components) {
+            report('error', 'VALUE_NOT_IN_LIST', `${pointer}/type`, `Invalid type: ${accessor.type}`);
+        }
+        if (!Number.isInteger(accessor.count) || accessor.count < 1) {
+            report('error', 'VALUE_NOT_IN_RANGE', `${pointer}/count`, `Invalid count: ${accessor.count}`);
+            return;
+        }
+        if (!componentSize || !components) return;
+
+        if (accessor.normalized && [GL.FLOAT, GL.UNSIGNED_INT].includes(accessor.componentType)) {
+            report(
+                'error',
+                'ACCESSOR_NORMALIZED_INVALID',
+                `${pointer}/normalized`,
+                'Only 8 and 16-bit accessors can be normalized',
+            );
+        }
+        for (const bound of ['min', 'max']) {
+            if (accessor[bound] !== undefined && accessor[bound].length !== components) {
+                report(
+                    'error',
+                    'INVALID_ARRAY_LENGTH',
+                    `${pointer}/${bound}`,
+                    `${bound} must have ${components} values`,
+                );
+            }
+        }
+
+        let readable = true;
+        if (accessor.bufferView !== undefined) {
+            readable = checkAccessorLayout(context, accessor, pointer);
+        }
+        if (accessor.sparse && !checkSparse(context, accessor, `${pointer}/sparse`)) {
+            readable = false;
+        }
+        if (readable) readableAccessors.add(i);
+    });
+}
+
+/**
+ * Check that an accessor's elements are aligned and fit in its buffer view. Buffer views that
+ * failed their own checks are already reported, and make the accessor unreadable.
+ * @returns {boolean} Whether the data can be read
+ */
+function checkAccessorLayout(context, accessor, pointer) {
+    const { report } = context;
+    const bufferView = context.resolve(`${pointer}/bufferView`, accessor.bufferView, 'bufferViews');
+    if (!bufferView || !context.validBufferViews.has(accessor.bufferView)) return false;
+
+    const componentSize = COMPONENT_SIZE[accessor.componentType];
+    const elementSize = getElementSize(accessor);
+    const byteOffset = accessor.byteOffset || 0;
+    const stride = bufferView.byteStride || elementSize;
+    let valid = true;
+
+    if (byteOffset % componentSize !== 0) {
+        report(
+            'error',
+            'ACCESSOR_OFFSET_ALIGNMENT',
+            `${pointer}/byteOffset`,
+            `byteOffset must be a multiple of ${componentSize}`,
+        );
+        valid = false;
+    } else if (((bufferView.byteOffset || 0) + byteOffset) % componentSize !== 0) {
+        report(
+            'error',
+            'ACCESSOR_TOTAL_OFFSET_ALIGNMENT',
+            pointer,
+            `Offset into the buffer must be a multiple of ${componentSize}`,
+        );
+        valid = false;
+    }
+    if (stride < elementSize) {
+        report(
+            'error',
+            'ACCESSOR_SMALL_BYTESTRIDE',
+            pointer,
+            `Elements of ${elementSize} bytes do not fit byteStride ${stride}`,
+        );
+        valid = false;
+    }
+
+    const end = byteOffset + stride * (accessor.count - 1) + elementSize;
+    if (end > bufferView.byteLength) {
+        report(
+            'error',
+            'ACCESSOR_TOO_LONG',
+            pointer,
+            `Accessor needs ${end} bytes, buffer view ${accessor.bufferView} has ${bufferView.byteLength}`,
+        );
+        valid = false;
+    }
+    return valid;
+}
+
+function checkSparse(context, accessor, pointer) {
+    const { report } = context;
+    const { count, indices, values } = accessor.sparse;
+    let valid = true;
+
+    if (!Number.isInteger(count) || count < 1 || count > accessor.count) {
+        report('error', 'VALUE_NOT_IN_RANGE', `${pointer}/count`, `Invalid sparse count: ${count}`);
+        valid = false;
+    }
+    if (!indices || !values) {
+        report('error', 'UNDEFINED_PROPERTY', pointer, 'Sparse accessors need indices and values');
+        return false;
+    }
+    if (!INDEX_COMPONENT_TYPES.includes(indices.componentType)) {
+        report(
+            'error',
+            'VALUE_NOT_IN_LIST',
+            `${pointer}/indices/componentType`,
+            `Invalid componentType: ${indices.componentType}`,
+        );
+        return false;
+    }
+
+    const parts = [
+        [indices, { componentType: indices.componentType, type: 'SCALAR', count }, 'indices'],
+        [values, { componentType: accessor.componentType, type: accessor.type, count }, 'values'],
+    ];
+    for (const [part, layout, name] of parts) {
+        if (!checkAccessorLayout(context, { ...layout, ...part }, `${pointer}/${name}`)) valid = false;
+    }
+    return valid;
+}
+
+function checkMeshes(context) {
+    const { json, report } = context;
+
+    (json.meshes || []).forEach((mesh, meshIndex) => {
+        if (!Array.isArray(mesh.primitives) || mesh.primitives.length === 0) {
+            report('error', 'EMPTY_ENTITY', `/meshes/${meshIndex}/primitives`, 'A mesh needs at least one primitive');
+            return;
+        }
+
+        mesh.primitives.forEach((prim, primIndex) => {
+            const pointer = `/meshes/${meshIndex}/primitives/${primIndex}`;
+            const mode = prim.mode ?? 4;
+            if (!MODE_ELEMENTS[mode]) {
+                report('error', 'VALUE_NOT_IN_LIST', `${pointer}/mode`, `Invalid mode: ${prim.mode}`);
+                return;
+            }
+
+            if (!prim.attributes) {
+                report('error', 'UNDEFINED_PROPERTY', pointer, 'Property attributes must be defined');
+            }
+            const vertexCount = checkAttributes(
+                context,
+                prim.attributes || {},
+                `${pointer}/attributes`,
+                ATTRIBUTE_TYPES,
+            );
+            if (prim.attributes && prim.attributes.POSITION === undefined) {
+                report(
+                    'info',
+                    'MESH_PRIMITIVE_NO_POSITION',
+                    `${pointer}/attributes`,
+                    'Primitive has no POSITION attribute',
+                );
+            }
+            if (prim.material !== undefined) context.resolve(`${pointer}/material`, prim.material, 'materials');
+
+            (prim.targets || []).forEach((target, t) => {
+                const targetCount = checkAttributes(context, target, `${pointer}/targets/${t}`, TARGET_TYPES);
+                if (vertexCount !== null && targetCount !== null && targetCount !== vertexCount) {
+                    report(
+                        'error',
+                        'MESH_PRIMITIVE_MORPH_TARGET_INVALID_ATTRIBUTE_COUNT',
+                        `${pointer}/targets/${t}`,
+                        `Morph target has ${targetCount} elements, the primitive has ${vertexCount} vertices`,
+                    );
+                }
+            });
+            if ((prim.targets || []).length !== (mesh.primitives[0].targets || []).length) {
+                report(
+                    'error',
+                    'MESH_PRIMITIVES_UNEQUAL_TARGETS_COUNT',
+                    `${pointer}/targets`,
+                    'Primitives have different numbers of morph targets',
+                );
+            }
+
+            if (prim.indices !== undefined) {
+                checkIndices(context, prim.indices, `${pointer}/indices`, vertexCount, mode);
+            } else if (vertexCount !== null) {
+                checkElementCount(context, vertexCount, mode, pointer);
+            }
+        });
+
+        const targetCount = (mesh.primitives[0].targets || []).length;
+        if (mesh.weights !== undefined && mesh.weights.length !== targetCount) {
+            report(
+                'error',
+                'MESH_INVALID_WEIGHTS_COUNT',
+                `/meshes/${meshIndex}/weights`,
+                `Mesh has ${targetCount} morph targets, weights has ${mesh.weights.length} values`,
+            );
+        }
+    });
+}
+
+/**
+ * Check the accessors of an attribute map (primitive attributes, morph target or instancing)
+ * @returns {number|null} Their shared element count, or null if it is unknown
+ */
+function checkAttributes(context, attributes, pointer, allowedTypes, vertexData = true) {
+    const { report } = context;
+    let count = null;
+
+    for (const [semantic, accessorIndex] of Object.entries(attributes)) {
+        const accessor = context.resolve(`${pointer}/${semantic}`, accessorIndex, 'accessors');
+        if (!accessor) continue;
+
+        const name = semantic.replace(/_\d+$/, '');
+        const types = allowedTypes[name];
+        if (types && !types.includes(accessor.type)) {
+            report(
+                'error',
+                'MESH_PRIMITIVE_ACCESSOR_INVALID_FORMAT',
+                `${pointer}/${semantic}`,
+                `${semantic} cannot be ${accessor.type}`,
+            );
+        }
+        if (semantic === 'POSITION' && (accessor.min === undefined || accessor.max === undefined)) {
+            report(
+                'error',
+                'MESH_PRIMITIVE_POSITION_ACCESSOR_WITHOUT_BOUNDS',
+                `${pointer}/${semantic}`,
+                'POSITION accessors must have min and max',
+            );
+        }
+
+        if (count === null) {
+            count = accessor.count;
+        } else if (accessor.count !== count) {
+            report(
+                'error',
+                'MESH_PRIMITIVE_UNEQUAL_ACCESSOR_COUNT',
+                `${pointer}/${semantic}`,
+                `${semantic} has ${accessor.count} elements, other attributes have ${count}`,
+            );
+        }
+
+        const bufferView = context.json.bufferViews?.[accessor.bufferView];
+        if (!bufferView || !vertexData) continue;
+        if (bufferView.target === ELEMENT_ARRAY_BUFFER) {
+            report(
+                'error',
+                'MESH_PRIMITIVE_INCOMPATIBLE_BUFFER_VIEW_TARGET',
+                `${pointer}/${semantic}`,
+                'Vertex data is in an index buffer view',
+            );
+        }
+
+        // Vertex attribute elements must start on 4-byte boundaries
+        const offset = (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+        const stride = bufferView.byteStride || getElementSize(accessor);
+        if (offset % 4 !== 0 || stride % 4 !== 0) {
+            report(
+                'error',
+                'MESH_PRIMITIVE_ACCESSOR_UNALIGNED',
+                `${pointer}/${semantic}`,
+                `${semantic} elements are not 4-byte aligned (stride ${stride})`,
+            );
+        }
+    }
+    return count;
+}
+
+function checkIndices(context, accessorIndex, pointer, vertexCount, mode) {
+    const { report } = context;
+    const accessor = context.resolve(pointer, accessorIndex, 'accessors');
+    if (!accessor) return;
+
+    if (accessor.type !== 'SCALAR' || !INDEX_COMPONENT_TYPES.includes(accessor.componentType) || accessor.normalized) {
+        report(
+            'error',
+            'MESH_PRIMITIVE_INDICES_ACCESSOR_INVALID_FORMAT',
+            pointer,
+            'Indices must be unsigned, non-normalized SCALAR values',
+        );
+        return;
+    }
+    const bufferView = context.json.bufferViews?.[accessor.bufferView];
+    if (bufferView?.byteStride !== undefined) {
+        report(
+            'error',
+            'MESH_PRIMITIVE_INDICES_ACCESSOR_WITH_BYTESTRIDE',
+            pointer,
+            'Index buffer views cannot have a byteStride',
+        );
+    }
+    if (bufferView?.target !== undefined && bufferView.target !== ELEMENT_ARRAY_BUFFER) {
+        report(
+            'error',
+            'MESH_PRIMITIVE_INCOMPATIBLE_BUFFER_VIEW_TARGET',
+            pointer,
+            'Indices are in a vertex buffer view',
+        );
+    }
+    checkElementCount(context, accessor.count, mode, pointer);
+
+    const indices = context.read(accessorIndex);
+    if (!indices || vertexCount === null) return;
+
+    const restart = PRIMITIVE_RESTART[accessor.componentType];
+    let outOfRange = 0;
+    let restarts = 0;
+    for (let i = 0; i < indices.length; i++) {
+        if (indices[i] === restart) restarts++;
+        else if (indices[i] >= vertexCount) outOfRange++;
+    }
+    if (outOfRange > 0) {
+        report(
+            'error',
+            'ACCESSOR_INDEX_OOB',
+            pointer,
+            `${outOfRange} indices are not below the vertex count ${vertexCount}`,
+        );
+    }
+    if (restarts > 0) {
+        report(
+            'error',
+            'ACCESSOR_INDEX_PRIMITIVE_RESTART',
+            pointer,
+            `${restarts} indices hold the primitive restart value ${restart}`,
+        );
+    }
+
+    if (mode === 4) {
+        let degenerate = 0;
+        for (let i = 0; i + 2 < indices.length; i += 3) {
+            const [a, b, c] = [indices[i], indices[i + 1], indices[i + 2]];
+            if (a === b || b === c || a === c) degenerate++;
+        }
+        if (degenerate > 0) {
+            report('info', 'ACCESSOR_INDEX_TRIANGLE_DEGENERATE', pointer, `${degenerate} degenerate triangles`);
+        }
+    }
+}
+
+function checkElementCount({ report }, count, mode, pointer) {
+    const { multiple, min } = MODE_ELEMENTS[mode];
+    if (count < min || count % multiple !== 0) {
+        report(
+            'warning',
+            'MESH_PRIMITIVE_INCOMPATIBLE_MODE',
+            pointer,
+            `${count} elements do not make whole primitives for mode ${mode}`,
+        );
+    }
+}
+
+function checkNodes(context) {
+    const { json, report } = context;
+    const nodes = json.nodes || [];
+    const parents = new Map();
+
+    nodes.forEach((node, i) => {
+        const pointer = `/nodes/${i}`;
+        const mesh = node.mesh !== undefined ? context.resolve(`${pointer}/mesh`, node.mesh, 'meshes') : undefined;
+        if (node.camera !== undefined) context.resolve(`${pointer}/camera`, node.camera, 'cameras');
+
+        if (node.skin !== undefined && context.resolve(`${pointer}/skin`, node.skin, 'skins')) {
+            if (!mesh) {
+                report(
+                    'error',
+                    'NODE_SKIN_WITH_NON_SKINNED_MESH',
+                    `${pointer}/skin`,
+                    'A node with a skin needs a mesh with JOINTS_0 and WEIGHTS_0',
+                );
+            } else if (
+                mesh.primitives?.some(
+                    (prim) => prim.attributes?.JOINTS_0 === undefined || prim.attributes?.WEIGHTS_0 === undefined,
+                )
+            ) {
+                report(
+                    'error',
+                    'NODE_SKIN_WITH_NON_SKINNED_MESH',
+                    `${pointer}/skin`,
+                    'Skinned mesh primitives need JOINTS_0 and WEIGHTS_0',
+                );
+            }
+        } else if (mesh?.primitives?.some((prim) => prim.attributes?.JOINTS_0 !== undefined)) {
+            report(
+                'warning',
+                'NODE_SKINNED_MESH_WITHOUT_SKIN',
+                pointer,
+                'Mesh has skinning attributes, but the node has no skin',
+            );
+        }
+
+        if (node.matrix !== undefined) {
+            if (node.matrix.length !== 16) {
+                report('error', 'INVALID_ARRAY_LENGTH', `${pointer}/matrix`, 'matrix must have 16 values');
+            }
+            if (node.translation || node.rotation || node.scale) {
+                report(
+                    'error',
+                    'NODE_MATRIX_TRS',
+                    pointer,
+                    'A node cannot have both a matrix and translation, rotation or scale',
+                );
+            }
+        }
+        if (node.rotation !== undefined) {
+            const length = Math.hypot(...node.rotation);
+            if (node.rotation.length !== 4 || Math.abs(length - 1) > 1e-4) {
+                report('error', 'ROTATION_NON_UNIT', `${pointer}/rotation`, 'rotation must be a unit quaternion');
+            }
+        }
+        if (
+            mesh &&
+            node.weights !== undefined &&
+            node.weights.length !== (mesh.primitives?.[0]?.targets || []).length
+        ) {
+            report(
+                'error',
+                'NODE_WEIGHTS_INVALID',
+                `${pointer}/weights`,
+                'weights must have one value per morph target',
+            );
+        }
+
+        (node.children || []).forEach((child, c) => {
+            if (!context.resolve(`${pointer}/children/${c}`, child, 'nodes')) return;
+            if (parents.has(child)) {
+                report(
+                    'error',
+                    'NODE_PARENT_OVERRIDE',
+                    `${pointer}/children/${c}`,
+                    `Node ${child} already has parent ${parents.get(child)}`,
+                );
+            } else {
+                parents.set(child, i);
+            }
+        });
+
+        checkNodeExtensions(context, node, pointer);
+    });
+
+    // A node that reaches itself through its parents is part of a cycle
+    nodes.forEach((_node, i) => {
+        const seen = new Set([i]);
+        for (let parent = parents.get(i); parent !== undefined; parent = parents.get(parent)) {
+            if (parent === i) {
+                report('error', 'NODE_LOOP', `/nodes/${i}`, 'Node hierarchy contains a cycle');
+                break;
+            }
+            if (seen.has(parent)) break;
+            seen.add(parent);
+        }
+    });
+
+    context.parents = parents;
+}
+
+function checkNodeExtensions(context, node, pointer) {
+    const extensions = node.extensions || {};
+
+    const lod = extensions.MSFT_lod;
+    (lod?.ids || []).forEach((id, k) => {
+        context.resolve(`${pointer}/extensions/MSFT_lod/ids/${k}`, id, 'nodes');
+    });
+
+    const instancing = extensions.EXT_mesh_gpu_instancing;
+    if (instancing) {
+        const instancingPointer = `${pointer}/extensions/EXT_mesh_gpu_instancing/attributes`;
+        checkAttributes(context, instancing.attributes || {}, instancingPointer, INSTANCE_TYPES, false);
+        if (node.mesh === undefined) {
+            context.report(
+                'error',
+                'NODE_INSTANCING_WITHOUT_MESH',
+                pointer,
+                'EXT_mesh_gpu_instancing needs a node with a mesh',
+            );
+        }
+    }
+
+    const light = extensions.KHR_lights_punctual?.light;
+    if (light !== undefined) {
+        const lights = context.json.extensions?.KHR_lights_punctual?.lights;
+        context.resolve(`${pointer}/extensions/KHR_lights_punctual/light`, light, 'lights', lights);
+    }
+}
+
+function checkScenes(context) {
+    const { json, report } = context;
+
+    (json.scenes || []).forEach((scene, sceneIndex) => {
+        (scene.nodes || []).forEach((nodeIndex, k) => {
+            const pointer = `/scenes/${sceneIndex}/nodes/${k}`;
+            if (!context.resolve(pointer, nodeIndex, 'nodes')) return;
+            if (context.parents.has(nodeIndex)) {
+                report('error', 'SCENE_NON_ROOT_NODE', pointer, `Node ${nodeIndex} is not a root node`);
+            }
+        });
+    });
+}
+
+function checkSkins(context) {
+    const { json, report } = context;
+
+    (json.skins || []).forEach((skin, i) => {
+        const pointer = `/skins/${i}`;
+        (skin.joints || []).forEach((joint, k) => context.resolve(`${pointer}/joints/${k}`, joint, 'nodes'));
+        if (skin.skeleton !== undefined) context.resolve(`${pointer}/skeleton`, skin.skeleton, 'nodes');
+
+        if (skin.inverseBindMatrices === undefined) return;
+        const accessor = context.resolve(`${pointer}/inverseBindMatrices`, skin.inverseBindMatrices, 'accessors');
+        if (accessor && (accessor.type !== 'MAT4' || accessor.componentType !== GL.FLOAT)) {
+            report(
+                'error',
+                'SKIN_IBM_INVALID_FORMAT',
+                `${pointer}/inverseBindMatrices`,
+                'Inverse bind matrices must be float MAT4',
+            );
+        } else if (accessor && accessor.count < (skin.joints || []).length) {
+            report(
+                'error',
+                'SKIN_IBM_INVALID_COUNT',
+                `${pointer}/inverseBindMatrices`,
+                `${accessor.count} inverse bind matrices for ${skin.joints.length} joints`,
+            );
+        }
+    });
+}
+
+function checkAnimations(context) {
+    const { json, report } = context;
+
+    (json.animations || []).forEach((animation, animIndex) => {
+        const pointer = `/animations/${animIndex}`;
+        const samplers = animation.samplers || [];
+        const targets = new Set();
+
+        (animation.channels || []).forEach((channel, c) => {
+            const channelPointer = `${pointer}/channels/${c}`;
+            const sampler = context.resolve(`${channelPointer}/sampler`, channel.sampler, 'samplers', samplers);
+            const { node, path } = channel.target || {};
+
+            if (!(path in ANIMATION_OUTPUT_TYPES) && !channel.target?.extensions) {
+                report('error', 'VALUE_NOT_IN_LIST', `${channelPointer}/target/path`, `Invalid path: ${path}`);
+                return;
+            }
+            if (node === undefined) return;
+            if (!context.resolve(`${channelPointer}/target/node`, node, 'nodes')) return;
+
+            const key = `${node}/${path}`;
+            if (targets.has(key)) {
+                report(
+                    'error',
+                    'ANIMATION_DUPLICATE_TARGETS',
+                    channelPointer,
+                    `Node ${node} ${path} is animated twice`,
+                );
+            }
+            targets.add(key);
+
+            if (sampler)
+                checkSamplerOutput(
+                    context,
+                    sampler,
+                    channel.sampler,
+                    path,
+                    node,
+                    `${pointer}/samplers/${channel.sampler}`,
+                );
+        });
+
+        samplers.forEach((sampler, s) => {
+            const samplerPointer = `${pointer}/samplers/${s}`;
+            if (sampler.interpolation !== undefined && !INTERPOLATIONS.includes(sampler.interpolation)) {
+                report(
+                    'error',
+                    'VALUE_NOT_IN_LIST',
+                    `${samplerPointer}/interpolation`,
+                    `Invalid interpolation: ${sampler.interpolation}`,
+                );
+            }
+            context.resolve(`${samplerPointer}/output`, sampler.output, 'accessors');
+            checkSamplerInput(context, sampler.input, `${samplerPointer}/input`);
+        });
+    });
+}
+
+/**
+ * Key times must be float scalars with bounds, non-negative and strictly increasing
+ */
+function checkSamplerInput(context, accessorIndex, pointer) {
+    const { report } = context;
+    const accessor = context.resolve(pointer, accessorIndex, 'accessors');
+    if (!accessor) return;
+
+    if (accessor.type !== 'SCALAR' || accessor.componentType !== GL.FLOAT) {
+        report(
+            'error',
+            'ANIMATION_SAMPLER_INPUT_ACCESSOR_INVALID_FORMAT',
+            pointer,
+            'Key times must be float SCALAR values',
+        );
+        return;
+    }
+    if (accessor.min === undefined || accessor.max === undefined) {
+        report(
+            'error',
+            'ANIMATION_SAMPLER_INPUT_ACCESSOR_WITHOUT_BOUNDS',
+            pointer,
+            'Key time accessors must have min and max',
+        );
+    }
+
+    const times = context.read(accessorIndex);
+    if (!times) return;
+    if (times[0] < 0) {
+        report('error', 'ANIMATION_SAMPLER_INPUT_ACCESSOR_INVALID_VALUE', pointer, 'Key times must not be negative');
+    }
+    for (let i = 1; i < times.length; i++) {
+        if (times[i] <= times[i - 1]) {
+            report(
+                'error',
+                'ANIMATION_SAMPLER_INPUT_ACCESSOR_NON_INCREASING',
+                pointer,
+                `Key time ${i} does not increase`,
+            );
+            break;
+        }
+    }
+}
+
+function checkSamplerOutput(context, sampler, samplerIndex, path, nodeIndex, pointer) {
+    const { json, report } = context;
+    const input = json.accessors?.[sampler.input];
+    const output = json.accessors?.[sampler.output];
+    if (!input || !output) return;
+
+    const isFloat = output.componentType === GL.FLOAT;
+    const isNormalized = output.normalized && output.componentType !== GL.UNSIGNED_INT;
+    const formatValid =
+        output.type === ANIMATION_OUTPUT_TYPES[path] &&
+        (isFloat || ((path === 'rotation' || path === 'weights') && isNormalized));
+    if (!formatValid) {
+        report(
+            'error',
+            'ANIMATION_SAMPLER_OUTPUT_ACCESSOR_INVALID_FORMAT',
+            `${pointer}/output`,
+            `Invalid output format for ${path} (sampler ${samplerIndex})`,
+        );
+        return;
+    }
+
+    const mesh = json.meshes?.[json.nodes[nodeIndex].mesh];
+    const valuesPerKey = path === 'weights' ? (mesh?.primitives?.[0]?.targets || []).length : 1;
+    const expected = input.count * valuesPerKey * (sampler.interpolation === 'CUBICSPLINE' ? 3 : 1);
+    if (valuesPerKey > 0 && output.count !== expected) {
+        report(
+            'error',
+            'ANIMATION_SAMPLER_OUTPUT_ACCESSOR_INVALID_COUNT',
+            `${pointer}/output`,
+            `Output has ${output.count} elements, ${expected} expected`,
+        );
+    }
+}
+
+function checkTextures(context) {
+    const { json, report } = context;
+
+    (json.textures || []).forEach((texture, i) => {
+        const pointer = `/textures/${i}`;
+        if (texture.source !== undefined) context.resolve(`${pointer}/source`, texture.source, 'images');
+        if (texture.sampler !== undefined) context.resolve(`${pointer}/sampler`, texture.sampler, 'samplers');
+        for (const name of TEXTURE_SOURCE_EXTENSIONS) {
+            const source = texture.extensions?.[name]?.source;
+            if (source !== undefined) context.resolve(`${pointer}/extensions/${name}/source`, source, 'images');
+        }
+    });
+
+    (json.images || []).forEach((image, i) => {
+        const pointer = `/images/${i}`;
+        if ((image.uri === undefined) === (image.bufferView === undefined)) {
+            report('error', 'ONE_OF_MISMATCH', pointer, 'An image needs exactly one of uri and bufferView');
+        }
+        if (image.bufferView !== undefined) {
+            context.resolve(`${pointer}/bufferView`, image.bufferView, 'bufferViews');
+            if (image.mimeType === undefined) {
+                report('error', 'UNSATISFIED_DEPENDENCY', pointer, 'Images in a bufferView need a mimeType');
+            }
+        }
+    });
+
+    (json.samplers || []).forEach((sampler, i) => {
+        const checks = [
+            ['magFilter', MAG_FILTERS],
+            ['minFilter', MIN_FILTERS],
+            ['wrapS', WRAP_MODES],
+            ['wrapT', WRAP_MODES],
+        ];
+        for (const [property, values] of checks) {
+            if (sampler[property] !== undefined && !values.includes(sampler[property])) {
+                report(
+                    'error',
+                    'VALUE_NOT_IN_LIST',
+                    `/samplers/${i}/${property}`,
+                    `Invalid ${property}: ${sampler[property]}`,
+                );
+            }
+        }
+    });
+
+    (json.materials || []).forEach((material, i) => {
+        const pointer = `/materials/${i}`;
+        if (material.alphaMode !== undefined && !ALPHA_MODES.includes(material.alphaMode)) {
+            report('error', 'VALUE_NOT_IN_LIST', `${pointer}/alphaMode`, `Invalid alphaMode: ${material.alphaMode}`);
+        }
+        forEachTextureInfo(material, pointer, (textureInfo, slotPointer) => {
+            context.resolve(`${slotPointer}/index`, textureInfo.index, 'textures');
+        });
+    });
+}
+
+/**
+ * Call back for every textureInfo in a material, including those in extensions, with its pointer
+ */
+function forEachTextureInfo(value, pointer, callback) {
+    for (const [key, child] of Object.entries(value)) {
+        if (!child || typeof child !== 'object' || Array.isArray(child) || key === 'extras') continue;
+
+        if (key.endsWith('Texture') && child.index !== undefined) {
+            callback(child, `${pointer}/${key}`);
+        } else {
+            forEachTextureInfo(child, `${pointer}/${key}`, callback);
+        }
+    }
+}
+
+/**
+ * Compare declared min/max with the data, and check floats are finite and sparse indices increase
+ */
+function checkAccessorData(context) {
+    const { json, report, readableAccessors } = context;
+
+    for (const i of readableAccessors) {
+        const accessor = json.accessors[i];
+        const pointer = `/accessors/${i}`;
+        const components = TYPE_COMPONENTS[accessor.type];
+        const padded = getElementSize(accessor) !== COMPONENT_SIZE[accessor.componentType] * components;
+        const isFloat = accessor.componentType === GL.FLOAT;
+        const hasBounds = accessor.min !== undefined || accessor.max !== undefined;
+        if (padded || (!isFloat && !hasBounds)) continue;
+
+        const data = context.read(i);
+        if (!data) continue;
+
+        const min = new Array(components).fill(Infinity);
+        const max = new Array(components).fill(-Infinity);
+        let nonFinite = 0;
+        for (let k = 0; k < data.length; k++) {
+            const value = data[k];
+            if (!Number.isFinite(value)) {
+                nonFinite++;
+                continue;
+            }
+            const c = k % components;
+            if (value < min[c]) min[c] = value;
+            if (value > max[c]) max[c] = value;
+        }
+
+        if (nonFinite > 0) {
+            report('error', 'ACCESSOR_INVALID_FLOAT', pointer, `${nonFinite} values are NaN or infinite`);
+        }
+        // Float bounds are compared at the precision the data is stored in
+        const round = isFloat ? Math.fround : (value) => value;
+        for (const [bound, actual, code] of [
+            ['min', min, 'ACCESSOR_MIN_MISMATCH'],
+            ['max', max, 'ACCESSOR_MAX_MISMATCH'],
+        ]) {
+            const declared = accessor[bound];
+            if (!declared || declared.length !== components || nonFinite === data.length) continue;
+            const mismatch = declared.findIndex((value, c) => round(value) !== actual[c]);
+            if (mismatch !== -1) {
+                report(
+                    'error',
+                    code,
+                    `${pointer}/${bound}`,
+                    `Declared ${bound} ${declared[mismatch]} does not match the data (${actual[mismatch]}) in component ${mismatch}`,
+                );
+            }
+        }
+
+        if (accessor.sparse) checkSparseIndices(context, accessor, pointer);
+    }
+}
+
+function checkSparseIndices(context, accessor, pointer) {
+    const { indices, count } = accessor.sparse;
+    if (context.json.bufferViews[indices.bufferView].extensions?.EXT_meshopt_compression) return;
+
+    let bytes;
+    try {
+        bytes = context.model.getBufferViewData(indices.bufferView);
+    } catch {
+        return;
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset + (indices.byteOffset || 0));
+    const componentSize = COMPONENT_SIZE[indices.componentType];
+    const readIndex = (i) =>
+        componentSize === 1
+            ? view.getUint8(i)
+            : componentSize === 2
+              ? view.getUint16(i * 2, true)
+              : view.getUint32(i * 4, true);
+
+    let previous = -1;
+    for (let i = 0; i < count; i++) {
+        const index = readIndex(i);
+        if (index >= accessor.count || index <= previous) {
+            context.report(
+                'error',
+                'ACCESSOR_SPARSE_INDICES_NON_INCREASING',
+                `${pointer}/sparse/indices`,
+                'Sparse indices must increase and stay below the accessor count',
+            );
+            return;
+        }
+        previous = index;
+    }
+}
+
+function checkExtensions({ json, report }) {
+    const used = new Set(json.extensionsUsed || []);
+    const required = new Set(json.extensionsRequired || []);
+    const present = new Set();
+    collectExtensionNames(json, present);
+
+    for (const name of present) {
+        if (!used.has(name)) {
+            report(
+                'error',
+                'UNDECLARED_EXTENSION',
+                '/extensionsUsed',
+                `Extension ${name} is used but not in extensionsUsed`,
+            );
+        }
+    }
+    for (const name of required) {
+        if (!used.has(name)) {
+            report(
+                'error',
+                'NOT_IN_EXTENSIONS_USED',
+                '/extensionsRequired',
+                `Extension ${name} is required but not in extensionsUsed`,
+            );
+        }
+    }
+    for (const name of used) {
+        if (!present.has(name) && !DATA_EXTENSIONS.includes(name)) {
+            report('info', 'UNUSED_EXTENSION', '/extensionsUsed', `Extension ${name} is declared but never used`);
+        }
+    }
+
+    if (needsMeshQuantization(json)) {
+        if (!required.has('KHR_mesh_quantization')) {
+            report(
+                'error',
+                'MESH_QUANTIZATION_NOT_REQUIRED',
+                '/extensionsRequired',
+                'Mesh attributes use quantized component types, so KHR_mesh_quantization must be required',
+            );
+        }
+    } else if (used.has('KHR_mesh_quantization')) {
+        report(
+            'info',
+            'UNUSED_EXTENSION',
+            '/extensionsUsed',
+            'Extension KHR_mesh_quantization is declared but never needed',
+        );
+    }
+
+    // Without fallback data, loaders can only read compressed views through the extension
+    const buffers = json.buffers || [];
+    const withoutFallback = (json.bufferViews || []).findIndex(
+        (bufferView) => bufferView.extensions?.EXT_meshopt_compression && buffers[bufferView.buffer]?.uri === undefined,
+    );
+    if (withoutFallback !== -1 && !required.has('EXT_meshopt_compression')) {
+        report(
+            'error',
+            'MESHOPT_FALLBACK_MISSING',
+            `/bufferViews/${withoutFallback}`,
+            'Compressed data has no fallback, so EXT_meshopt_compression must be required',
+        );
+    }
+}
+
+function collectExtensionNames(value, names) {
+    if (!value || typeof value !== 'object') return;
+
+    for (const [key, child] of Object.entries(value)) {
+        if (key === 'extensions' && child && typeof child === 'object' && !Array.isArray(child)) {
+            for (const name of Object.keys(child)) names.add(name);
+        }
+        if (key !== 'extras') collectExtensionNames(child, names);
+    }
+}
+
+/**
+ * Bytes per element; matrix columns of 8 and 16-bit components start on 4-byte boundaries
+ */
+function getElementSize(accessor) {
+    const componentSize = COMPONENT_SIZE[accessor.componentType];
+    const components = TYPE_COMPONENTS[accessor.type];
+    if (!accessor.type.startsWith('MAT') || componentSize === 4) return componentSize * components;
+
+    const rows = Math.sqrt(components);
+    return Math.ceil((rows * componentSize) / 4) * 4 * rows;
+}
@@ -140,7 +140,11 @@ export async function analyzeViewImportance(glbArrayBuffer) {
 }
 
 function setupOffscreenRenderer() {
-    const canvas = document.createElement('canvas');
+    // Workers have no DOM; OffscreenCanvas gives them a WebGL context of their own
+    const canvas =
+        typeof document === 'undefined'
+            ? new OffscreenCanvas(RENDER_SIZE, RENDER_SIZE)
+            : document.createElement('canvas');
     canvas.width = RENDER_SIZE;
     canvas.height = RENDER_SIZE;
 
@@ -149,7 +153,7 @@ function setupOffscreenRenderer() {
         antialias: false,
         preserveDrawingBuffer: true,
     });
-    renderer.setSize(RENDER_SIZE, RENDER_SIZE);
+    renderer.setSize(RENDER_SIZE, RENDER_SIZE, false);
 
     const renderTarget = new THREE.WebGLRenderTarget(RENDER_SIZE, RENDER_SIZE, {
         minFilter: THREE.NearestFilter,
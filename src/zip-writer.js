@@ -0,0 +1,108 @@
+/**
+ * Zip Writer - Packages files into an uncompressed (stored) zip archive
+ *
+ * glTF buffers are already meshopt-compressed and images are PNG/JPEG/etc., so
+ * deflate would gain little; storing keeps the writer small and fast.
+ */
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Create a zip archive
+ * @param {Map<string, Uint8Array>} files - File contents by path inside the archive
+ * @returns {Uint8Array} Zip data
+ */
+export function createZip(files) {
+    const encoder = new TextEncoder();
+    const { time, date } = getDOSDateTime(new Date());
+
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const [path, data] of files) {
+        const name = encoder.encode(path);
+        const crc = crc32(data);
+
+        // Local file header
+        const local = new Uint8Array(30 + name.length);
+        const localView = new DataView(local.buffer);
+        localView.setUint32(0, 0x04034b50, true);
+        localView.setUint16(4, 20, true); // version needed
+        localView.setUint16(6, 0x0800, true); // UTF-8 names
+        localView.setUint16(8, 0, true); // stored
+        localView.setUint16(10, time, true);
+        localView.setUint16(12, date, true);
+        localView.setUint32(14, crc, true);
+        localView.setUint32(18, data.byteLength, true);
+        localView.setUint32(22, data.byteLength, true);
+        localView.setUint16(26, name.length, true);
+        local.set(name, 30);
+
+        // Central directory entry
+        const central = new Uint8Array(46 + name.length);
+        const centralView = new DataView(central.buffer);
+        centralView.setUint32(0, 0x02014b50, true);
+        centralView.setUint16(4, 20, true); // version made by
+        centralView.setUint16(6, 20, true); // version needed
+        centralView.setUint16(8, 0x0800, true);
+        centralView.setUint16(10, 0, true);
+        centralView.setUint16(12, time, true);
+        centralView.setUint16(14, date, true);
+        centralView.setUint32(16, crc, true);
+        centralView.setUint32(20, data.byteLength, true);
+        centralView.setUint32(24, data.byteLength, true);
+        centralView.setUint16(28, name.length, true);
+        centralView.setUint32(42, offset, true);
+        central.set(name, 46);
+
+        localParts.push(local, data);
+        centralParts.push(central);
+        offset += local.byteLength + data.byteLength;
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+
+    // End of central directory record
+    const end = new Uint8Array(22);
+    const endView = new DataView(end.buffer);
+    endView.setUint32(0, 0x06054b50, true);
+    endView.setUint16(8, files.size, true);
+    endView.setUint16(10, files.size, true);
+    endView.setUint32(12, centralSize, true);
+    endView.setUint32(16, offset, true);
+
+    const zip = new Uint8Array(offset + centralSize + end.byteLength);
+    let position = 0;
+    for (const part of [...localParts, ...centralParts, end]) {
+        zip.set(part, position);
+        position += part.byteLength;
+    }
+
+    return zip;
+}
+
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+        crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function getDOSDateTime(d) {
+    return {
+        time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+        date: ((Math.max(d.getFullYear(), 1980) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+    };
+}
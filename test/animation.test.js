@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { optimizeAnimations } from '../src/animation.js';
+import { parseGLTF } from '../src/glb-parser.js';
+
+/**
+ * A model with one node whose translation is animated by the given key times and VEC3 values
+ */
+function createAnimatedModel(times, values) {
+    const bytes = new Uint8Array(times.byteLength + values.byteLength);
+    bytes.set(new Uint8Array(times.buffer), 0);
+    bytes.set(new Uint8Array(values.buffer), times.byteLength);
+
+    const json = {
+        asset: { version: '2.0' },
+        scenes: [{ nodes: [0] }],
+        nodes: [{}],
+        buffers: [
+            {
+                uri: `data:application/octet-stream;base64,${Buffer.from(bytes).toString('base64')}`,
+                byteLength: bytes.byteLength,
+            },
+        ],
+        bufferViews: [
+            { buffer: 0, byteLength: times.byteLength },
+            { buffer: 0, byteOffset: times.byteLength, byteLength: values.byteLength },
+        ],
+        accessors: [
+            {
+                bufferView: 0,
+                componentType: 5126,
+                count: times.length,
+                type: 'SCALAR',
+                min: [times[0]],
+                max: [times.at(-1)],
+            },
+            { bufferView: 1, componentType: 5126, count: times.length, type: 'VEC3' },
+        ],
+        animations: [
+            {
+                channels: [{ sampler: 0, target: { node: 0, path: 'translation' } }],
+                samplers: [{ input: 0, output: 1 }],
+            },
+        ],
+    };
+    return parseGLTF(JSON.stringify(json), new Map());
+}
+
+function createTrack(frameRate, duration, valueAt) {
+    const count = Math.round(duration * frameRate) + 1;
+    const times = Float32Array.from({ length: count }, (_, i) => i / frameRate);
+    const values = new Float32Array(count * 3);
+    times.forEach((time, i) => {
+        values[i * 3] = valueAt(time, i);
+    });
+    return { times, values };
+}
+
+test('keeps detail between resampled frames', () => {
+    // A 1-unit spike on the second of 121 keys at 120 fps, between the first two 30 fps frames
+    const { times, values } = createTrack(120, 1, (_time, i) => (i === 1 ? 1 : 0));
+
+    const { samplers } = optimizeAnimations(createAnimatedModel(times, values));
+    const { input, output } = samplers.get('0/0');
+
+    const keyTimes = Array.from(input.data);
+    const spike = keyTimes.findIndex((time) => Math.abs(time - times[1]) < 1e-6);
+    assert.notEqual(spike, -1);
+    assert.equal(output.data[spike * 3], 1);
+});
+
+test('reduces a straight line to its end keys', () => {
+    const { times, values } = createTrack(120, 1, (time) => time * 2);
+
+    const { samplers } = optimizeAnimations(createAnimatedModel(times, values));
+    const { input, output } = samplers.get('0/0');
+
+    assert.deepEqual(Array.from(input.data), [0, 1]);
+    assert.deepEqual(Array.from(output.data), [0, 0, 0, 2, 0, 0]);
+});
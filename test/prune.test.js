@@ -0,0 +1,42 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { pruneUnused } from '../src/prune.js';
+
+function createMeshJSON() {
+    return {
+        asset: { version: '2.0' },
+        meshes: [{ primitives: [{ attributes: { POSITION: 0 }, indices: 1, material: 0 }] }],
+        materials: [{ name: 'stone' }],
+        accessors: [
+            { bufferView: 0, componentType: 5126, count: 3, type: 'VEC3' },
+            { bufferView: 1, componentType: 5123, count: 3, type: 'SCALAR' },
+        ],
+        bufferViews: [
+            { buffer: 0, byteLength: 36 },
+            { buffer: 0, byteOffset: 36, byteLength: 6 },
+        ],
+        buffers: [{ byteLength: 44 }],
+    };
+}
+
+test('keeps everything in a file without scenes', () => {
+    const json = createMeshJSON();
+    const original = structuredClone(json);
+
+    assert.deepEqual(pruneUnused(json), {});
+    assert.deepEqual(json, original);
+});
+
+test('removes meshes no scene reaches and renumbers the rest', () => {
+    const json = createMeshJSON();
+    json.meshes.unshift({ primitives: [{ attributes: { POSITION: 0 } }] });
+    json.nodes = [{ mesh: 1 }];
+    json.scenes = [{ nodes: [0] }];
+
+    const removed = pruneUnused(json);
+
+    assert.equal(removed.meshes, 1);
+    assert.equal(json.meshes.length, 1);
+    assert.equal(json.nodes[0].mesh, 0);
+    assert.equal(json.accessors.length, 2);
+});
@@ -0,0 +1,8 @@
+import { defineConfig } from 'vite';
+
+export default defineConfig({
+    // The pipeline worker lazy-loads the pure-JS image codecs, which requires a code-split ES worker
+    worker: { format: 'es' },
+    // Pre-bundling would break the encoders' `new URL('*.wasm', import.meta.url)` lookups in dev
+    optimizeDeps: { exclude: ['ktx2-encoder', '@jsquash/webp', '@jsquash/avif'] },
+});